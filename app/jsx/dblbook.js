@@ -4,6 +4,7 @@ import { Link } from 'react-router';
 import DatePicker from 'react-datepicker';
 import { importGnucash } from 'importGnucash';
 import { importLedger } from 'importLedger';
+import * as model from 'model';
 //import { fn } from 'moment';
 
 //var moment = fn;
@@ -179,6 +180,48 @@ function importLedger2(event) {
 export var AccountPage = React.createClass({
   mixins: [DblbookSubscribeMixin],
 
+  getInitialState: function() {
+    return {showArchived: false};
+  },
+
+  onToggleArchived: function(e) {
+    this.setState({showArchived: e.target.checked});
+  },
+
+  // Saves a backup of the book as a JSON file.
+  onExport: function() {
+    this.props.db.exportAll().then((doc) => {
+      let blob = new Blob([JSON.stringify(doc)], {type: "application/json"});
+      let link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = this.props.book + ".json";
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+  },
+
+  // Restores a backup into this (empty) book, and then shows it.
+  onRestore: function(event) {
+    let reader = new FileReader();
+    reader.onload = () => {
+      let doc;
+      try {
+        doc = JSON.parse(reader.result);
+      } catch (error) {
+        alert("Not a backup file: " + error);
+        return;
+      }
+
+      model.DB.importAll(doc, this.props.book).then((db) => {
+        db.close();
+        this.props.openBook(this.props.book);
+      }, (error) => {
+        alert("Couldn't restore the backup: " + error);
+      });
+    };
+    reader.readAsText(event.target.files[0]);
+  },
+
   render: function() {
     var uploadGnucash = <div>
       <br/>
@@ -191,6 +234,9 @@ export var AccountPage = React.createClass({
       <div>
         Upload a Ledger file:<br/><input id="import" type="file" onChange={importLedger2} />
       </div>
+      <div>
+        Restore a backup:<br/><input type="file" onChange={this.onRestore} />
+      </div>
     </div>;
 
     this.subscribe(this.props.db.getRealRoot());
@@ -200,11 +246,23 @@ export var AccountPage = React.createClass({
 
     return <div>
       <h2>Assets and Liabilities</h2>
-      <AccountList root={this.props.db.getRealRoot()} key="REAL" />
+      <AccountList root={this.props.db.getRealRoot()} key="REAL"
+                   showArchived={this.state.showArchived} />
       <h2>Income and Expenses</h2>
-      <AccountList root={this.props.db.getNominalRoot()} key="NOMINAL" />
+      <AccountList root={this.props.db.getNominalRoot()} key="NOMINAL"
+                   showArchived={this.state.showArchived} />
+      <h2>Equity</h2>
+      <AccountList root={this.props.db.getEquityRoot()} key="EQUITY"
+                   showArchived={this.state.showArchived} />
       <br/>
+      <label>
+        <input type="checkbox" checked={this.state.showArchived}
+               onChange={this.onToggleArchived} />
+        {nbsp}Show archived accounts
+      </label>
       <a ng-click="edit()" className="pure-button" style={{"float": "right"}}>Edit Accounts</a>
+      <a onClick={this.onExport} className="pure-button"
+         style={{"float": "right"}}>Download a backup</a>
       {uploadGnucash}
     </div>;
   }
@@ -242,6 +300,9 @@ var AccountList = React.createClass({
 
   renderChildren: function(account, depth) {
     for (let [name, child] of account.children.iterator()) {
+      if (child.data.archived && !this.props.showArchived) {
+        continue;
+      }
       this.renderAccount(child, depth, this.state[child.data.guid]);
     }
   },
@@ -290,8 +351,14 @@ var AccountListElement = React.createClass({
   },
 
   renderBalance: function() {
-    var str = this.balance.getPoints()[0].endBalance.toString();
-    return <span>{str}</span>;
+    var balance = this.balance.getPoints()[0].endBalance;
+    if (this.props.account.isCreditNormal()) {
+      // Show credit balances (like liabilities and income) as positive.
+      var negated = new model.Amount();
+      negated.sub(balance);
+      balance = negated;
+    }
+    return <span>{balance.toString()}</span>;
   },
 
   render: function() {
@@ -308,12 +375,18 @@ var AccountListElement = React.createClass({
       <Link to={`/accounts/${account.data.guid}`}>
         {account.data.name}
       </Link>
+      {account.data.close_date ?
+          <span style={{"fontSize": "smaller", "color": "gray"}}>
+            {nbsp + nbsp}closed {account.data.close_date}
+          </span> : null}
     </span>;
 
     if (account.data.guid == "REAL_ROOT") {
       nameText = <b>Net Worth</b>;
     } else if (account.data.guid == "NOMINAL_ROOT") {
-      nameText = <b>Total Income/Expense</b>;
+      nameText = <b>Net Income</b>;
+    } else if (account.data.guid == "EQUITY_ROOT") {
+      nameText = <b>Total Equity</b>;
     }
 
     return <tr>
@@ -442,6 +515,107 @@ export var Account = React.createClass({
   }
 });
 
+/**
+ * Component for switching to another book, or creating a new one.
+ */
+export var BookList = React.createClass({
+  getInitialState: function() {
+    return {books: null, newName: "", passphrase: "", newPassphrase: ""};
+  },
+
+  componentDidMount: function() {
+    model.DB.list().then((books) => this.setState({books: books}));
+  },
+
+  onOpen: function(name, e) {
+    e.preventDefault();
+    this.props.openBook(name);
+  },
+
+  onNameChange: function(e) {
+    this.setState({newName: e.target.value});
+  },
+
+  onCreate: function(e) {
+    e.preventDefault();
+    if (this.state.newName) {
+      this.props.openBook(this.state.newName);
+    }
+  },
+
+  onLock: function(e) {
+    e.preventDefault();
+    // Reopening without the passphrase asks for it again.
+    this.props.openBook(this.props.book);
+  },
+
+  onPassphraseChange: function(field, e) {
+    this.setState({[field]: e.target.value});
+  },
+
+  // Sets, changes or (if the new passphrase is empty) removes the passphrase
+  // of the open book.
+  onSetPassphrase: function(e) {
+    e.preventDefault();
+    let book = this.props.book;
+    let passphrase = this.state.passphrase || null;
+    let newPassphrase = this.state.newPassphrase || null;
+
+    this.props.db.close();
+    model.DB.setPassphrase(book, passphrase, newPassphrase).then(() => {
+      this.props.openBook(book, newPassphrase);
+    }, (error) => {
+      alert("Could not change the passphrase: " + error);
+      this.props.openBook(book, passphrase);
+    });
+  },
+
+  render: function() {
+    if (!this.state.books) {
+      return <div>Loading...</div>;
+    }
+
+    var encrypted = this.props.db.hasPassphrase();
+    var books = this.state.books.map((name) => {
+      if (name == this.props.book) {
+        return <li key={name}><b>{name}</b></li>;
+      } else {
+        return <li key={name}>
+          <a href="#" onClick={this.onOpen.bind(this, name)}>{name}</a>
+        </li>;
+      }
+    });
+
+    return <div>
+      <h2>Books</h2>
+      <ul>{books}</ul>
+      <form onSubmit={this.onCreate}>
+        <input type="text" value={this.state.newName}
+               onChange={this.onNameChange} placeholder="New book name"/>
+        <button type="submit" className="pure-button">Create</button>
+      </form>
+      <h3>Passphrase of {this.props.book}</h3>
+      {encrypted ?
+        <button className="pure-button" onClick={this.onLock}>Lock</button> :
+        null}
+      <form onSubmit={this.onSetPassphrase}>
+        {encrypted ?
+          <input type="password" value={this.state.passphrase}
+                 onChange={this.onPassphraseChange.bind(this, "passphrase")}
+                 placeholder="Current passphrase"/> :
+          null}
+        <input type="password" value={this.state.newPassphrase}
+               onChange={this.onPassphraseChange.bind(this, "newPassphrase")}
+               placeholder={encrypted ? "New passphrase (empty to remove)" :
+                                        "New passphrase"}/>
+        <button type="submit" className="pure-button">
+          {encrypted ? "Change passphrase" : "Set passphrase"}
+        </button>
+      </form>
+    </div>;
+  }
+});
+
 var NotFound = React.createClass({
   render: function() {
     return <h1>Not found!</h1>
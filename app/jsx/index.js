@@ -1,4 +1,3 @@
-
 import * as dblbook from 'dblbook';
 import * as React from 'react';
 import * as ReactDOM from 'react-dom';
@@ -13,6 +12,7 @@ var App = React.createClass({
       <div>
         <ul>
           <Link to="accounts">Accounts</Link>
+          <Link to="/books">Books</Link>
         </ul>
       </div>
 
@@ -24,26 +24,75 @@ var App = React.createClass({
   }
 });
 
-// Load the global database, then display the initial route once it's loaded.
-model.DB.open().then(function(db) {
-  // Gnucash importer doesn't yet have a proper way to get this.
-  document.db = db;
-
-  let injectDb = function(Component, props) {
-    return <Component {...props} db={db}/>;
+// Opens a book, closing the one that was open, then displays the initial route
+// once it's loaded.  If the book has a passphrase and none (or the wrong one)
+// is given, asks for it.
+var openBook = function(name, passphrase) {
+  if (document.db) {
+    document.db.close();
+    document.db = null;
   }
 
-  let routes =
-    <Router createElement={injectDb} history={browserHistory}>
-      <Route handler={App}>
-        <Route path="/accounts/:guid" component={dblbook.Account}/>
-        <Route path="/" component={dblbook.AccountPage}/>
-        <Route path="*" component={dblbook.NotFound}/>
-      </Route>
-    </Router>;
+  let container = document.getElementById("app");
 
-  ReactDOM.render(routes, document.getElementById("app"));
-});
+  return model.DB.open(name, passphrase).then(function(db) {
+    // Gnucash importer doesn't yet have a proper way to get this.
+    document.db = db;
+
+    db.onError = function(event) {
+      console.log("Write transaction failed: ", event);
+      alert("Write transaction failed, changes were reverted (see console)");
+    };
+
+    db.onLocked = function() {
+      alert("The passphrase of this book was changed in another window.");
+      openBook(name);
+    };
+
+    let injectDb = function(Component, props) {
+      return <Component {...props} db={db} book={name} openBook={openBook}/>;
+    }
+
+    let routes =
+      <Router createElement={injectDb} history={browserHistory}>
+        <Route handler={App}>
+          <Route path="/accounts/:guid" component={dblbook.Account}/>
+          <Route path="/books" component={dblbook.BookList}/>
+          <Route path="/" component={dblbook.AccountPage}/>
+          <Route path="*" component={dblbook.NotFound}/>
+        </Route>
+      </Router>;
+
+    // The routes of the previous book must not be reused with this one.
+    ReactDOM.unmountComponentAtNode(container);
+    ReactDOM.render(routes, container);
+  }, function(error) {
+    if (error !== model.LOCKED && error !== model.WRONG_PASSPHRASE) {
+      throw error;
+    }
+
+    if (error === model.WRONG_PASSPHRASE) {
+      alert("Wrong passphrase.");
+    }
+
+    let entered = prompt("Passphrase of book \"" + name + "\":");
+    if (entered != null) {
+      return openBook(name, entered);
+    }
+
+    let unlock = function(e) {
+      e.preventDefault();
+      openBook(name);
+    };
+
+    ReactDOM.unmountComponentAtNode(container);
+    ReactDOM.render(<div>
+      Book "{name}" is locked. <a href="#" onClick={unlock}>Unlock</a>
+    </div>, container);
+  });
+}
+
+openBook(model.DEFAULT_BOOK);
 
 /*
 chrome.identity.getAuthToken({interactive: true}, function(token) {
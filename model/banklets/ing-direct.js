@@ -44,6 +44,8 @@ banklets.ing = {
 
       function(onData, setNextStep) {
         $('#m_history tbody tr').each(function() {
+          // The description is the bank's raw string, like "AMZN MKTP US",
+          // which importBanklet() maps to a payee.
           var txn = {
             "date": Date.parse(trim($('.m_date', this).text())),
             "description": trim($('.m_desc div:first-child', this).text()),
@@ -0,0 +1,57 @@
+/* @flow */
+
+import { Account, Amount } from './model.js';
+
+// Returns the YYYY-MM-DD date of a banklet timestamp, which is the local
+// midnight that Date.parse() gives for a date like "09/23/2015".
+function bankletDate(time: number): string {
+  let date = new Date(time);
+  let pad = (n) => (n < 10 ? "0" : "") + n;
+  return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" +
+      pad(date.getDate());
+}
+
+/**
+ * Imports the transactions that a banklet scraped from one bank account (see
+ * banklets/), returning a promise that settles once they have been stored.
+ *
+ * Banklets only see one side of each transaction, so the other side goes to
+ * otherAccount (like an "Uncategorized" expense account) until the user
+ * categorizes it.  The raw descriptions of the bank are mapped to payees like
+ * in the other importers.
+ *
+ * @param txns The objects that the banklet passed to onData().
+ * @param account The account that the banklet scraped.
+ * @param otherAccount The account for the other side of the transactions.
+ */
+export function importBanklet(txns: Array<Object>, account: Account,
+                              otherAccount: Account): Promise<void> {
+  let db = account.db;
+
+  return db.atomic(() => {
+    for (let txn of txns) {
+      // Amounts are like "$1,234.56" or "-12.34".
+      let amount = {};
+      amount[txn.commodity] = txn.amount.replace(/[$,]/g, "");
+      let otherAmount = new Amount();
+      otherAmount.sub(new Amount(amount));
+
+      let txnData = {
+        description: txn.description,
+        date: bankletDate(txn.date),
+        entry: [
+          {account_guid: account.data.guid, amount: amount},
+          {account_guid: otherAccount.data.guid,
+           amount: otherAmount.toModel()},
+        ],
+      };
+
+      let payee = db.matchPayee(txn.description);
+      if (payee) {
+        txnData.payee_guid = payee.data.guid;
+      }
+
+      db.createTransaction(txnData);
+    }
+  });
+}
@@ -23,12 +23,33 @@ function getXmlText2(node, ns, name, ns2, name2) {
   return found ? found.textContent : undefined;
 }
 
+// Adds the string-valued slots of a GnuCash transaction or split (like its
+// "notes") to the metadata of our data for it.  Other slots are dropped.
+function addSlots(node, ns, data) {
+  let slotNs = "http://www.gnucash.org/XML/slot";
+  let slots = node.getElementsByTagNameNS(ns, "slots")[0];
+  if (!slots) {
+    return;
+  }
+
+  for (let i = 0; i < slots.childNodes.length; i++) {
+    let slot = slots.childNodes[i];
+    if (slot.localName != "slot") {
+      continue;
+    }
+
+    let key = getXmlText(slot, slotNs, "key");
+    let value = slot.getElementsByTagNameNS(slotNs, "value")[0];
+    if (key && value && value.getAttribute("type") == "string") {
+      data.metadata = data.metadata || {};
+      data.metadata[key] = value.textContent;
+    }
+  }
+}
+
 function mapType(type) {
   if (type == "BANK" || type == "CASH" || type == "MUTUAL") {
     return "ASSET";
-  } else if (type == "EQUITY") {
-    // XXX: Treat as asset for now.
-    return "ASSET";
   } else {
     return type;
   }
@@ -73,7 +94,9 @@ function ratioToDecimal(ratioStr: string) {
   return ret;
 }
 
-export function importGnucash(xmlString: string, db: DB, rootForNew: ?Account) {
+// Returns a promise that settles once the imported data has been stored.
+export function importGnucash(xmlString: string, db: DB,
+                              rootForNew: ?Account): Promise<void> {
   // Namespaces.
   let gnc = "http://www.gnucash.org/XML/gnc";
   let act = "http://www.gnucash.org/XML/act";
@@ -89,7 +112,7 @@ export function importGnucash(xmlString: string, db: DB, rootForNew: ?Account) {
   let transactions = xml.getElementsByTagNameNS(gnc, "transaction");
 
   // Import accounts.
-  db.atomic(() => {
+  let accountsStored = db.atomic(() => {
     for (let i = 0; i < accounts.length; i++) {
       let gnucashAccount = accounts[i];
       let newAccount = {
@@ -105,8 +128,6 @@ export function importGnucash(xmlString: string, db: DB, rootForNew: ?Account) {
       if (newAccount.type == "ROOT") {
         delete newAccount.type;
         gnucashRootGuid = newAccount.guid;
-      } else if (newAccount.type == "EQUITY") {
-        console.log("Skipping: ", newAccount)
       } else {
         let parentGuid = getXmlText(gnucashAccount, act, "parent");
         if (parentGuid == gnucashRootGuid) {
@@ -121,7 +142,7 @@ export function importGnucash(xmlString: string, db: DB, rootForNew: ?Account) {
   });
 
   // Import transactions.
-  db.atomic(() => {
+  let transactionsStored = db.atomic(() => {
     for (let i = 0; i < transactions.length; i++) {
       let gnucashTransaction = transactions[i];
       let newTransaction = {
@@ -135,6 +156,14 @@ export function importGnucash(xmlString: string, db: DB, rootForNew: ?Account) {
         newTransaction.date = newTransaction.date.substring(0, 10);
       }
 
+      addSlots(gnucashTransaction, trn, newTransaction);
+
+      let payee = newTransaction.description ?
+          db.matchPayee(newTransaction.description) : null;
+      if (payee) {
+        newTransaction.payee_guid = payee.data.guid;
+      }
+
       let splits = gnucashTransaction.getElementsByTagNameNS(trn, "split")
       for (let j = 0; j < splits.length; j++) {
         let gnucashSplit = splits[j];
@@ -149,6 +178,7 @@ export function importGnucash(xmlString: string, db: DB, rootForNew: ?Account) {
           amount: {},
         };
         newSplit.amount[accountCommodities.get(accountGuid)] = quantity;
+        addSlots(gnucashSplit, split, newSplit);
         newTransaction.entry.push(newSplit);
       }
 
@@ -158,4 +188,6 @@ export function importGnucash(xmlString: string, db: DB, rootForNew: ?Account) {
 
   console.log("Imported " + accounts.length + " accounts, " +
               transactions.length + " transactions");
+
+  return Promise.all([accountsStored, transactionsStored]).then(() => {});
 }
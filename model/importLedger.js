@@ -3,6 +3,40 @@
 
 import { DB, Account } from './model.js';
 
+// Adds the tags and metadata of a Ledger comment (the text after ";") to the
+// data of a transaction or entry.  Comments are like:
+//   ; :reimbursable:client-x:
+//   ; Invoice: 1234
+// Any other comment is kept as the "comment" metadata.
+function addComment(comment: string, data: Object) {
+  let text = comment.trim();
+  let tags = /^:((?:[^\s:]+:)+)$/.exec(text);
+  let pair = /^([^\s:]+):\s+(.*)$/.exec(text);
+
+  if (tags) {
+    data.tag = data.tag || [];
+    for (let tag of tags[1].split(":")) {
+      if (tag && data.tag.indexOf(tag) == -1) {
+        data.tag.push(tag);
+      }
+    }
+  } else if (pair) {
+    data.metadata = data.metadata || {};
+    data.metadata[pair[1]] = pair[2].trim();
+  } else if (text) {
+    data.metadata = data.metadata || {};
+    let old = data.metadata.comment;
+    data.metadata.comment = old ? old + "\n" + text : text;
+  }
+}
+
+// Splits a line at the start of its comment, if any.
+function splitComment(line: string): [string, ?string] {
+  let semicolon = line.indexOf(";");
+  return semicolon == -1 ? [line, null] :
+      [line.substring(0, semicolon), line.substring(semicolon + 1)];
+}
+
 class LedgerImporter {
   db: DB;
   accounts: Map<string, Account>;
@@ -50,6 +84,8 @@ class LedgerImporter {
           accountData.type = "INCOME"
         } else if (leafName == "Expenses") {
           accountData.type = "EXPENSE"
+        } else if (leafName == "Equity") {
+          accountData.type = "EQUITY"
         } else {
           console.log("Warning: guessing account type ASSET for " + name);
           accountData.type = "ASSET";
@@ -63,16 +99,20 @@ class LedgerImporter {
     return account;
   }
 
-  import(ledgerData: string) {
+  import(ledgerData: string): Promise<void> {
     // This parsing is very rough/inexact -- to make more robust, we should
     // see exactly how ledger parses these things.
 
     let accountAmountDivider = new RegExp(/ \$?-?\d+/);
 
-    this.db.atomic(() => {
+    return this.db.atomic(() => {
       let txnData = null;
       let skip = false;
 
+      // The transaction or entry that comment lines belong to (null after an
+      // entry that we skip).
+      let commented = null;
+
       for (let line of ledgerData.split(/\n/)) {
 
         if (txnData) {
@@ -89,9 +129,20 @@ class LedgerImporter {
 
             txnData = null;
             skip = false;
+          } else if (line.trim().charAt(0) == ";") {
+            // A comment line, which belongs to the transaction if it comes
+            // before the entries, or else to the entry before it.
+            if (commented) {
+              addComment(line.trim().substring(1), commented);
+            }
           } else {
             // Parse a line like:
             //     Assets:Cash Accounts:ING Checking                 $-322.00
+            // which can end with a comment.
+
+            let [posting, comment] = splitComment(line);
+            line = posting;
+            commented = null;
 
             let match = accountAmountDivider.exec(line);
             if (!match) {
@@ -108,10 +159,14 @@ class LedgerImporter {
 
             if (amount.indexOf("$") == 0) {
               // Amount like $-4,138.46
-              txnData.entry.push({
+              commented = {
                 account_guid: account.data.guid,
                 amount: {"USD": amount.substring(1).replace(/,/g, '')}
-              });
+              };
+              txnData.entry.push(commented);
+              if (comment != null) {
+                addComment(comment, commented);
+              }
             } else {
               // Amount like 12.757 VWINX @ $16.22
               skip = true;
@@ -120,15 +175,26 @@ class LedgerImporter {
         } else {
           // New transaction.
           // Parse a line like:
-          // 2009/11/27 Mortgage Payment
-          let space = line.indexOf(" ");
-          let date = line.substring(0, space).trim();
-          let description = line.substring(space).trim();
+          // 2009/11/27 Mortgage Payment  ; :house:
+          let [header, comment] = splitComment(line);
+          let space = header.indexOf(" ");
+          let date = header.substring(0, space).trim();
+          let description = header.substring(space).trim();
           txnData = {
             description: description,
             date: date,
             entry: []
           }
+          commented = txnData;
+
+          if (comment != null) {
+            addComment(comment, txnData);
+          }
+
+          let payee = this.db.matchPayee(description);
+          if (payee) {
+            txnData.payee_guid = payee.data.guid;
+          }
         }
 
       }
@@ -136,6 +202,7 @@ class LedgerImporter {
   }
 }
 
-export function importLedger(ledgerData: string, db: DB) {
-  new LedgerImporter(db).import(ledgerData);
+// Returns a promise that settles once the imported data has been stored.
+export function importLedger(ledgerData: string, db: DB): Promise<void> {
+  return new LedgerImporter(db).import(ledgerData);
 }
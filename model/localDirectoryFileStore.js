@@ -0,0 +1,75 @@
+/**
+ * @fileoverview A RemoteFileStore that keeps its files in a local directory.
+ * This is mainly useful for testing sync, and only works under Node.js (it
+ * can't be bundled for the browser).
+ * @author jhaberman@gmail.com (Josh Haberman)
+ * @flow
+ */
+
+"use strict";
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { RemoteFileStore } from './sync.js';
+
+export class LocalDirectoryFileStore extends RemoteFileStore {
+  dir: string;
+
+  /**
+   * @param dir The directory to keep files in, which must already exist.
+   */
+  constructor(dir: string) {
+    super();
+    this.dir = dir;
+  }
+
+  list(): Promise<Array<string>> {
+    return new Promise((resolve, reject) => {
+      fs.readdir(this.dir, function(err, names) {
+        if (err) {
+          reject(err);
+        } else {
+          // Skip partially-written files (see write()).
+          resolve(names.filter((name) => !name.endsWith(".tmp")));
+        }
+      });
+    });
+  }
+
+  read(name: string): Promise<?string> {
+    return new Promise((resolve, reject) => {
+      fs.readFile(path.join(this.dir, name), "utf8", function(err, contents) {
+        if (err && err.code == "ENOENT") {
+          resolve(null);
+        } else if (err) {
+          reject(err);
+        } else {
+          resolve(contents);
+        }
+      });
+    });
+  }
+
+  write(name: string, contents: string): Promise<void> {
+    // Write to a temporary file and rename it into place, so that readers
+    // never see a partially-written file.
+    let filePath = path.join(this.dir, name);
+    let tmpPath = filePath + ".tmp";
+
+    return new Promise(function(resolve, reject) {
+      fs.writeFile(tmpPath, contents, "utf8", function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        fs.rename(tmpPath, filePath, function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  }
+}
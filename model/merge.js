@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Three-way merge of Account, Transaction and Payee data, for
+ * combining changes made to the same object on different devices (see
+ * sync.js).
+ *
+ * Every merge takes three versions of the object's data (as in model.proto):
+ *
+ * - base: the common ancestor that both sides started from.
+ * - ours: the local version.
+ * - theirs: the remote version.
+ *
+ * Any of them can be null, meaning that the object didn't exist (or was
+ * deleted) in that version.  Changes that only one side made are taken
+ * automatically.  Changes to the same part of the object that both sides made
+ * differently are conflicts, which the user has to resolve.
+ *
+ * @author jhaberman@gmail.com (Josh Haberman)
+ * @flow
+ */
+
+"use strict";
+
+import { Account, Payee, Transaction } from './model.js';
+
+/**
+ * The outcome of a merge.  If there were any conflicts, "data" is our
+ * version, unchanged.
+ */
+export class MergeResult {
+  // The merged data, or null if the object should not exist.
+  data: ?Object;
+
+  // The parts of the object that conflicted: field names (like
+  // "description"), "entry:<account guid>" for transaction entries,
+  // "metadata:<key>" for transaction metadata, "deleted" when one side
+  // deleted the object and the other changed it, or "invalid" when the merged
+  // data would be invalid (for example, unbalanced).
+  conflicts: Array<string>;
+
+  constructor(data: ?Object, conflicts: Array<string>) {
+    this.data = data;
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Returns true if the two values are equal, comparing objects and arrays by
+ * value.  Object properties that are undefined are treated as missing.
+ */
+export function dataEquals(v1: any, v2: any): boolean {
+  if (v1 === v2) {
+    return true;
+  } else if (v1 == null || v2 == null ||
+             typeof v1 != "object" || typeof v2 != "object") {
+    return v1 == v2;
+  } else if (Array.isArray(v1) || Array.isArray(v2)) {
+    if (!Array.isArray(v1) || !Array.isArray(v2) || v1.length != v2.length) {
+      return false;
+    }
+    return v1.every((val, i) => dataEquals(val, v2[i]));
+  } else {
+    for (let key of unionKeys(v1, v2)) {
+      if (!dataEquals(v1[key], v2[key])) {
+        return false;
+      }
+    }
+    return true;
+  }
+}
+
+function unionKeys(...objs: Array<?Object>): Array<string> {
+  let keys = new Set();
+  for (let obj of objs) {
+    if (obj) {
+      for (let key of Object.keys(obj)) { keys.add(key); }
+    }
+  }
+  return Array.from(keys);
+}
+
+/**
+ * Merges a single value.  Returns [merged value, true if it conflicted].
+ * On conflict, the merged value is ours.
+ */
+function mergeValue(base: any, ours: any, theirs: any): [any, boolean] {
+  if (dataEquals(ours, base)) {
+    return [theirs, false];
+  } else if (dataEquals(theirs, base) || dataEquals(ours, theirs)) {
+    return [ours, false];
+  } else {
+    return [ours, true];
+  }
+}
+
+/**
+ * Merges the fields of an object one at a time, except for the fields in
+ * "skip".
+ */
+function mergeFields(base: Object, ours: Object, theirs: Object,
+                     skip: Array<string>, conflicts: Array<string>): Object {
+  let ret = {};
+
+  for (let key of unionKeys(base, ours, theirs)) {
+    if (skip.indexOf(key) != -1) {
+      continue;
+    }
+
+    let [val, conflicted] = mergeValue(base[key], ours[key], theirs[key]);
+    if (conflicted) {
+      conflicts.push(key);
+    }
+    if (val !== undefined) {
+      ret[key] = val;
+    }
+  }
+
+  return ret;
+}
+
+/**
+ * Merges lists of tags as sets: a tag is in the result if either side added
+ * it, or if it was there before and neither side removed it.  This never
+ * conflicts.
+ */
+function mergeTags(base: ?Array<string>, ours: ?Array<string>,
+                   theirs: ?Array<string>): ?Array<string> {
+  let baseTags = base || [];
+  let theirTags = theirs || [];
+  let ret = (ours || []).filter(
+      (tag) => baseTags.indexOf(tag) == -1 || theirTags.indexOf(tag) != -1);
+
+  for (let tag of theirTags) {
+    if (baseTags.indexOf(tag) == -1 && ret.indexOf(tag) == -1) {
+      ret.push(tag);
+    }
+  }
+
+  return ret.length || ours || theirs ? ret : undefined;
+}
+
+/**
+ * Merges metadata one key at a time.  Conflicts are named "metadata:<key>".
+ */
+function mergeMetadata(base: ?Object, ours: ?Object, theirs: ?Object,
+                       conflicts: Array<string>): ?Object {
+  let keyConflicts = [];
+  let ret = mergeFields(base || {}, ours || {}, theirs || {}, [],
+                        keyConflicts);
+
+  for (let key of keyConflicts) {
+    conflicts.push("metadata:" + key);
+  }
+
+  return Object.keys(ret).length || ours || theirs ? ret : undefined;
+}
+
+// Entries don't have ids, so we identify them by account.  A transaction can
+// have more than one entry for the same account, so we number those.
+function entriesByKey(entries: ?Array<Object>): Map<string, Object> {
+  let ret = new Map();
+  let counts = new Map();
+
+  for (let entry of entries || []) {
+    let n = counts.get(entry.account_guid) || 0;
+    counts.set(entry.account_guid, n + 1);
+    ret.set(entry.account_guid + "#" + n, entry);
+  }
+
+  return ret;
+}
+
+/**
+ * Merges transaction entries one entry at a time.  The merged entries are in
+ * our order, followed by any entries that only they added.
+ */
+function mergeEntries(base: ?Array<Object>, ours: ?Array<Object>,
+                      theirs: ?Array<Object>,
+                      conflicts: Array<string>): Array<Object> {
+  let baseEntries = entriesByKey(base);
+  let ourEntries = entriesByKey(ours);
+  let theirEntries = entriesByKey(theirs);
+  let keys = new Set(Array.from(ourEntries.keys()).concat(
+      Array.from(theirEntries.keys()), Array.from(baseEntries.keys())));
+  let ret = [];
+
+  for (let key of keys) {
+    let [entry, conflicted] = mergeValue(
+        baseEntries.get(key), ourEntries.get(key), theirEntries.get(key));
+    if (conflicted) {
+      conflicts.push("entry:" + key.substring(0, key.lastIndexOf("#")));
+    }
+    if (entry) {
+      ret.push(entry);
+    }
+  }
+
+  return ret;
+}
+
+/**
+ * Handles the cases that are the same for all kinds of objects.
+ * Returns null if the fields of both versions need to be merged.
+ */
+function mergeTrivial(base: ?Object, ours: ?Object,
+                      theirs: ?Object): ?MergeResult {
+  if (dataEquals(ours, base)) {
+    return new MergeResult(theirs, []);
+  } else if (dataEquals(theirs, base) || dataEquals(ours, theirs)) {
+    return new MergeResult(ours, []);
+  } else if (!ours || !theirs) {
+    // One side deleted the object, and the other changed it.
+    return new MergeResult(ours, ["deleted"]);
+  } else {
+    return null;
+  }
+}
+
+/**
+ * Three-way merge of Account data.  Each field is merged separately.
+ */
+export function mergeAccount(base: ?Object, ours: ?Object,
+                             theirs: ?Object): MergeResult {
+  let trivial = mergeTrivial(base, ours, theirs);
+  if (trivial) {
+    return trivial;
+  }
+
+  if (!ours || !theirs) { throw "impossible"; }
+
+  let conflicts = [];
+  let merged = mergeFields(base || {}, ours, theirs, [], conflicts);
+
+  if (conflicts.length == 0 && !Account.isValid(merged)) {
+    conflicts.push("invalid");
+  }
+
+  return new MergeResult(conflicts.length ? ours : merged, conflicts);
+}
+
+/**
+ * Three-way merge of Transaction data.  Each field is merged separately, and
+ * so is each entry and each metadata key, while tags are merged as sets.  The
+ * merge never yields an invalid (for example, unbalanced) transaction: that is
+ * reported as a conflict instead.
+ */
+export function mergeTransaction(base: ?Object, ours: ?Object,
+                                 theirs: ?Object): MergeResult {
+  let trivial = mergeTrivial(base, ours, theirs);
+  if (trivial) {
+    return trivial;
+  }
+
+  if (!ours || !theirs) { throw "impossible"; }
+
+  base = base || {};
+  let conflicts = [];
+  let merged = mergeFields(base, ours, theirs, ["entry", "tag", "metadata"],
+                           conflicts);
+  merged.entry = mergeEntries(base.entry, ours.entry, theirs.entry, conflicts);
+
+  let tags = mergeTags(base.tag, ours.tag, theirs.tag);
+  let metadata = mergeMetadata(base.metadata, ours.metadata, theirs.metadata,
+                               conflicts);
+  if (tags) { merged.tag = tags; }
+  if (metadata) { merged.metadata = metadata; }
+
+  if (conflicts.length == 0 && !Transaction.isValid(merged)) {
+    conflicts.push("invalid");
+  }
+
+  return new MergeResult(conflicts.length ? ours : merged, conflicts);
+}
+
+/**
+ * Three-way merge of Payee data.  Each field is merged separately, so the
+ * list of aliases is merged as a whole.
+ */
+export function mergePayee(base: ?Object, ours: ?Object,
+                           theirs: ?Object): MergeResult {
+  let trivial = mergeTrivial(base, ours, theirs);
+  if (trivial) {
+    return trivial;
+  }
+
+  if (!ours || !theirs) { throw "impossible"; }
+
+  let conflicts = [];
+  let merged = mergeFields(base || {}, ours, theirs, [], conflicts);
+
+  if (conflicts.length == 0 && !Payee.isValid(merged)) {
+    conflicts.push("invalid");
+  }
+
+  return new MergeResult(conflicts.length ? ours : merged, conflicts);
+}
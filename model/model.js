@@ -9,8 +9,8 @@
 
 // $FlowIssue: how to allow this without processing all of node_modules/?
 import { RBTree } from 'bintrees';
-
-declare var indexedDB: any;
+import { ObjectStores, Storage, WriteBatch, IndexedDBStorage, EncryptedStorage,
+         CONFLICT, LOCKED, WRONG_PASSPHRASE } from './storage.js';
 
 function guid() {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
@@ -23,6 +23,19 @@ function toMapDate(date) {
   return date.toISOString().substr(0, 10);
 }
 
+// Transactions are loaded from storage a month at a time.  Months are strings
+// like "2015-09", which sort the same way as the dates in them.
+function monthOf(dateStr: string): string {
+  return dateStr.substr(0, 7);
+}
+
+function addMonths(month: string, n: number): string {
+  let parts = month.split("-");
+  let index = parseInt(parts[0], 10) * 12 + parseInt(parts[1], 10) - 1 + n;
+  let m = index % 12 + 1;
+  return Math.floor(index / 12) + "-" + (m < 10 ? "0" : "") + m;
+}
+
 function isArray(val) {
   // cf. http://stackoverflow.com/questions/4775722/check-if-object-is-array
   return Object.prototype.toString.call(val) === '[object Array]';
@@ -88,6 +101,8 @@ function rootForType(type) {
     return "REAL_ROOT";
   } else if (type == "INCOME" || type == "EXPENSE") {
     return "NOMINAL_ROOT";
+  } else if (type == "EQUITY") {
+    return "EQUITY_ROOT";
   } else {
     throw "Unexpected account type " + type;
   }
@@ -226,9 +241,13 @@ class SortedMap<K, V> {
    */
   riterator(key: ?K): SortedMapIterator<K, V> {
     if (key) {
-      let iter = new SortedMapIterator(this.tree.iterator(), "prev");
-      iter.next();  // Skip element after this key.
-      return iter;
+      let iter = this.tree.lowerBound([key, null]);
+      if (iter.data()) {
+        iter.prev();  // Skip element at or after this key.
+        return new SortedMapIterator(iter, "prev");
+      }
+      // All elements are before this key.
+      return this.riterator(null);
     } else {
       let iter = this.tree.iterator();
       iter.prev();  // Advance from null iterator to one pointing at last elem.
@@ -378,6 +397,17 @@ class Decimal {
     this.value -= other.value;
   }
 
+  /**
+   * Returns a number that is negative, zero or positive if this value is less
+   * than, equal to or greater than the other.  Unlike add() and sub(), this
+   * works for different precisions.
+   */
+  compare(other: Decimal): number {
+    let precision = Math.max(this.precision, other.precision);
+    return this.value * Math.pow(10, precision - this.precision) -
+        other.value * Math.pow(10, precision - other.precision);
+  }
+
   /**
    * Returns true iff the value is zero.
    */
@@ -641,18 +671,6 @@ class SummingPeriod extends Period {
     Period.periods.set(period.name, new_period);
   }
 
-  /**
-   * Gets a sum key for this date and period.  The date should be on a boundary
-   * for this period.
-   */
-  getSumKey(date) {
-    if (!this.onBoundary(date)) {
-      throw "Not on proper boundary!";
-    }
-
-    return this.aggregateKey + date.toISOString().substr(0, this.strLength);
-  }
-
   static onDayBoundary(date) {
     return date.getHours() == 0 && date.getMinutes() == 0 &&
         date.getSeconds() == 0 && date.getMilliseconds() == 0;
@@ -675,11 +693,69 @@ SummingPeriod.add2("YEAR",  "Y",  4, SummingPeriod.onYearBoundary);
 SummingPeriod.add2("MONTH", "M",  7, SummingPeriod.onMonthBoundary);
 SummingPeriod.add2("DAY",   "D", 10, SummingPeriod.onDayBoundary);
 
+const AllSummingPeriods = SummingPeriod.periods2.slice();
+
 // For testing purposes, remove some or all of our SummingPeriods, to make
 // sure that the algorithms still work.
+export function test_AllSums() {
+  SummingPeriod.periods2 = AllSummingPeriods.slice();
+}
 export function test_NoDaySums() { SummingPeriod.periods2.pop(); }
 export function test_NoSums() { SummingPeriod.periods2 = []; }
 
+/** Summing windows ***********************************************************/
+
+// Sums are kept for windows of an account's entries: all entries whose keys
+// (see Transaction._byTimeKey(), eg. "2015-09-25" + guid) start with the
+// window's prefix.  Windows for the SummingPeriods (years, months and days)
+// are always kept.  The finer windows below them (days, if they are not a
+// SummingPeriod, and then windows for each leading character of the guid) are
+// only kept inside a window that is "split" because it has more than
+// MAX_WINDOW_ENTRIES entries.  So a window with many entries, like a day with
+// a huge batch of transactions, never has to be read entry by entry.
+//
+// A read of any key range then needs at most a few dozen sums per level, plus
+// two lists of at most MAX_WINDOW_ENTRIES entries at its edges.
+const MAX_WINDOW_ENTRIES = 32;
+
+// The prefix lengths of all window levels, coarsest first: years, months,
+// days and then up to 8 characters of the guid.
+const WindowLengths = [4, 7, 10, 11, 12, 13, 14, 15, 16, 17, 18];
+
+// Returns true if windows of this prefix length are always kept.
+function isPeriodWindow(length: number): boolean {
+  return SummingPeriod.periods2.some((period) => period.strLength == length);
+}
+
+// Returns the prefix length of the windows inside windows of this length, or
+// null if they can't be subdivided further.  Prefix length 0 is the window of
+// all entries.
+function childWindowLength(length: number): ?number {
+  if (SummingPeriod.periods2.length == 0) {
+    // No sums at all.
+    return null;
+  }
+
+  let i = WindowLengths.indexOf(length);
+  return i + 1 < WindowLengths.length ? WindowLengths[i + 1] : null;
+}
+
+// Returns the granularity of windows with this prefix length, for sum keys:
+// "Y", "M" or "D" for years, months and days, "S" for finer windows.
+function windowGranularity(length: number): string {
+  switch (length) {
+    case 4: return "Y";
+    case 7: return "M";
+    case 10: return "D";
+    default: return "S";
+  }
+}
+
+// Returns the part of the sum key after the account guid for the window with
+// this prefix, like "M;2015-09".
+function windowKey(prefix: string): string {
+  return windowGranularity(prefix.length) + ";" + prefix;
+}
 
 /** Observable ********************************************************/
 
@@ -729,23 +805,126 @@ export class Observable {
     }
   }
 
+  /**
+   * Returns true if all data for this object has been loaded.  Objects that
+   * are still waiting for data notify their subscribers when it arrives.
+   */
+  isLoaded(): boolean { return true; }
+
+  /**
+   * Returns a promise for the load that this object is waiting for, or null
+   * if it isn't waiting for any.
+   */
+  _loading(): ?Promise<void> { return null; }
+
   /**
    * Takes an array of any number of observables and calls the given function
-   * when all of them have loaded.  In the status quo everything is kept loaded
-   * so the function is called immediately.
+   * when all of them have loaded.  If they are already loaded, the function is
+   * called immediately.  If loading fails, the function is called anyway with
+   * whatever data could be loaded.
+   */
+  static whenLoaded(observables, func) {
+    let loads = [];
+
+    for (let observable of observables) {
+      let loading = observable.isLoaded() ? null : observable._loading();
+      if (loading) {
+        loads.push(loading);
+      }
+    }
+
+    if (loads.length == 0) {
+      func();
+    } else {
+      // Data that arrives can make objects wait for more (for example, an
+      // EntryReader that still needs more entries), so check again.
+      Promise.all(loads).then(() => Observable.whenLoaded(observables, func),
+                              () => func());
+    }
+  }
+}
+
+/** UndoHistory ***************************************************************/
+
+// The maximum number of batches that can be undone.
+const MAX_UNDO = 100;
+
+/**
+ * The batches of changes that can be undone or redone with DB.undo() and
+ * DB.redo().  Every atomic batch of local changes is one undo step; each step
+ * is the list of changes that was recorded in the commit log for it.
+ *
+ * The history is observable: subscribers are notified whenever canUndo() or
+ * canRedo() may have changed.
+ */
+export class UndoHistory extends Observable {
+  undoStack: Array<Array<Object>>;
+  redoStack: Array<Array<Object>>;
+
+  constructor() {
+    super();
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  canUndo(): boolean { return this.undoStack.length > 0; }
+  canRedo(): boolean { return this.redoStack.length > 0; }
+
+  /**
+   * Records a new batch of local changes.  This makes it impossible to redo
+   * anything that was undone before.
+   */
+  _add(changes: Array<Object>) {
+    this.undoStack.push(changes);
+    if (this.undoStack.length > MAX_UNDO) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this._notifySubscribers();
+  }
+
+  /**
+   * Removes a batch of changes that was reverted because it couldn't be
+   * stored.
+   */
+  _remove(changes: Array<Object>) {
+    for (let stack of [this.undoStack, this.redoStack]) {
+      let i = stack.indexOf(changes);
+      if (i != -1) {
+        stack.splice(i, 1);
+        this._notifySubscribers();
+      }
+    }
+  }
+
+  /**
+   * Forgets all history.  Used when changes from another device are applied,
+   * since undoing across them could lose those changes.
    */
-  static whenLoaded(observables, func) { func(); }
+  _clear() {
+    if (this.canUndo() || this.canRedo()) {
+      this.undoStack = [];
+      this.redoStack = [];
+      this._notifySubscribers();
+    }
+  }
 }
 
 
 /** DB ************************************************************************/
 
-// Maps object store name to its key field name.
-const ObjectStores = {
-  "transactions": "guid",
-  "accounts": "guid",
-  "sums": "key"
-};
+// The book that is opened when no name is given.  This is also where the data
+// of versions from before there were several books is.
+export const DEFAULT_BOOK = "dblbook";
+
+// Identifies the backups that exportAll() makes, and the version of their
+// format.  Newer versions must still be able to import older backups.
+const BACKUP_FORMAT = "dblbook-backup";
+const BACKUP_VERSION = 2;
+
+// The errors of opening a book without its passphrase, or with the wrong one
+// (see DB.open()).
+export { LOCKED, WRONG_PASSPHRASE };
 
 /**
  * The top-level "database" object that contains all accounts and transactions
@@ -754,18 +933,22 @@ const ObjectStores = {
  * Together with the Account, Transaction, and Reader types, this object
  * provides a full r/w interface to all information kept in the application.
  *
- * All changes are immediately saved into a local indexedDB.  When this object
- * is constructed, it reads all data from the indexedDB to restore to the last
- * saved state.
+ * All changes are immediately saved into a Storage (by default, a local
+ * indexedDB).  When this object is constructed, it reads all data from the
+ * Storage to restore to the last saved state.
+ *
+ * Each book (like "personal" or "household") is a separate database, with
+ * its own Storage.  Several books can be open at once.
  *
  * This object must not be constructed directly; a database should be opened
  * with DB.open below.
  */
 export class DB {
-  idb: any;
+  storage: Storage;
 
   accountsByGuid:     Map<string, Account>;
   transactionsByGuid: Map<string, Transaction>;
+  payeesByGuid:       Map<string, Payee>;
   transactionsByTime: SortedMap<string, Transaction>;
   sumsByKey:          SortedMap<string, Sum>;
 
@@ -777,7 +960,82 @@ export class DB {
   committing: number;
   version: number;
 
-  static singleton: DB;
+  // The promise for the batch that is being built (see _batchPromise()).
+  batchDeferred: ?Object;
+
+  // Callers of flush() that are waiting for all commits to finish.
+  flushWaiters: Array<Object>;
+
+  // If set, the origin to record for the commit being built (see
+  // _replayAtomic()).
+  commitOrigin: ?Object;
+
+  // Other fields to record for the commit being built (see _logInCommit()).
+  commitNotes: ?Object;
+
+  // Transactions are loaded lazily, a month at a time (see _loadMonths()).
+  // storedMonths is the first and last month that storage had transactions
+  // for when the DB was opened; all transactions outside of it are in memory.
+  storedMonths: ?[string, string];
+  loadedMonths: Set<string>;
+
+  // Loads in progress, by month.
+  loads: Map<string, Promise<void>>;
+
+  // The number of loads of any kind in progress, and the guids of
+  // transactions deleted meanwhile, which the loads must not bring back.
+  pendingLoads: number;
+  deletedDuringLoad: Set<string>;
+
+  // Splits of summing windows in progress, by sum key (see
+  // _maybeSplitWindow()).
+  splits: Map<string, Promise<void>>;
+
+  // Incremented whenever a window gets a sum or is split, since readers may
+  // then be able to use different sums (see BalanceReader).
+  windowsVersion: number;
+
+  // The version of the last commit in storage that this DB knows of, the
+  // version that the last commit will have once our pending writes are done,
+  // and the batches that other instances of the book (like in other browser
+  // tabs) committed, which are applied once our own commits are settled (see
+  // _write()).
+  storedVersion: number;
+  lastVersion: number;
+  received: Array<Object>;
+
+  history: UndoHistory;
+
+  // If set, called when a batch could not be written to storage, after its
+  // changes have been reverted.  The argument is an event like:
+  //   {type: "commit", version: 5, changes: [...], error: <storage error>}
+  // where changes are the reverted changes (as in the commit log).
+  onError: ?(event: Object) => void;
+
+  // If set, called when the book is closed because its passphrase was changed
+  // by another instance of the book (see setPassphrase()), and it must be
+  // opened again with the new one.
+  onLocked: ?() => void;
+
+  // True while undo() or redo() is applying a batch, which must not be
+  // recorded as a new undo step.
+  undoing: boolean;
+
+  // True while applying a batch from another instance of the book (see
+  // _applyBatch()), whose sums we get along with it.
+  receiving: boolean;
+
+  // True while _revert() sets objects back to what storage has for them.
+  reverting: boolean;
+
+  // The closing transactions of accounting periods (see closePeriod()), by
+  // guid.  Values are their dates.  These are known even before the
+  // transactions themselves are loaded.
+  periodCloses: Map<string, string>;
+
+  // The Storage class that books are kept in, by name (see open()).  Must
+  // implement a static list() method.
+  static backend: Class<Storage>;
 
   /**
    * Constructor is not public: clients should obtain new DB instances with
@@ -792,6 +1050,7 @@ export class DB {
     // Key is txn._byTimeKey().
     this.transactionsByTime = new SortedMap();
     this.transactionsByGuid = new Map();
+    this.payeesByGuid = new Map();
 
     // Key is defined by sum.key().
     this.sumsByKey = new SortedMap();
@@ -800,8 +1059,29 @@ export class DB {
     this.dirtyMap = new Map();
     this.committing = 0;
     this.version = 0;
-
-    // Add the two root accounts -- these are currently special-cased and
+    this.batchDeferred = null;
+    this.flushWaiters = [];
+    this.commitOrigin = null;
+    this.commitNotes = null;
+    this.storedMonths = null;
+    this.loadedMonths = new Set();
+    this.loads = new Map();
+    this.pendingLoads = 0;
+    this.deletedDuringLoad = new Set();
+    this.splits = new Map();
+    this.windowsVersion = 0;
+    this.storedVersion = 0;
+    this.lastVersion = 0;
+    this.received = [];
+    this.history = new UndoHistory();
+    this.undoing = false;
+    this.receiving = false;
+    this.reverting = false;
+    this.periodCloses = new Map();
+    this.onError = null;
+    this.onLocked = null;
+
+    // Add the three root accounts -- these are currently special-cased and
     // not actually stored in the DB (should probably fix this).
     new Account(this, {
       "name": "Real Root Account (internal)",
@@ -814,142 +1094,140 @@ export class DB {
       "guid": "NOMINAL_ROOT",
       "type": "INCOME",
     }, true);
+
+    new Account(this, {
+      "name": "Equity Root Account (internal)",
+      "guid": "EQUITY_ROOT",
+      "type": "EQUITY",
+    }, true);
   }
 
   /**
-   * Opens the database and loads initial values, returning a promise that will
-   * provide a DB object in the success case.
+   * Opens a book and loads initial values, returning a promise that will
+   * provide a DB object in the success case.  The book is created if it
+   * doesn't exist yet.
+   *
+   * @param book The name of the book (in DB.backend), or the Storage to load
+   *   from and save to.  If omitted, the default book is opened.
+   * @param passphrase The passphrase of the book, if it has one (see
+   *   setPassphrase()).  Opening fails with LOCKED if it is missing, or
+   *   WRONG_PASSPHRASE if it is wrong.
    */
-  static open() {
+  static open(book: ?(string | Storage), passphrase: ?string) {
     let db = new DB()
-    let initialized = false;
 
-    if (DB.singleton) {
-      throw Error("Only one DB object allowed");
+    try {
+      db.storage = DB._storage(book);
+    } catch (error) {
+      return Promise.reject(error);
     }
-    DB.singleton = db;
 
-    let openDb = function() {
-      return new Promise(function(resolve, reject) {
-        // Open Database, creating schema if necessary.
-        var version = 1;
-        var request = indexedDB.open("dblbook", version);
+    let unlock = function() {
+      let storage = db.storage;
+      return EncryptedStorage.unlock(storage, passphrase).then(
+          (unlocked) => { db.storage = unlocked; },
+          function(error) {
+            storage.close();
+            throw error;
+          });
+    }
 
-        request.onupgradeneeded = function(e) {
-          var idb = request.result;
-          var store = idb.createObjectStore("transactions", {keyPath: "guid"});
-          store.createIndex("time_order", "date")
+    let loadAccounts = function() {
+      let accounts = []
 
-          store = idb.createObjectStore("accounts", {keyPath: "guid"});
-          store = idb.createObjectStore("sums", {keyPath: "key"});
-          initialized = true;
-        }
+      return db.storage.load("accounts", function(account) {
+        accounts.push(account);
+      }).then(function() {
+        // Need to ensure that we add parent accounts before children.
+        accounts = toposort(accounts);
+        accounts.reverse();
 
-        request.onblocked = function(e) {
-          alert("Oops!");
-          reject(Error("DB was blocked"))
-        }
+        for (let account of accounts) { new Account(db, account, true); }
 
-        request.onsuccess = function() {
-          db.idb = request.result;
+        console.log("Loaded ", accounts.length, " accounts");
+      });
+    }
 
-          // Set up behavior for what we'll do if the database changes versions
-          // (or is deleted) out from under us.
-          request.result.onversionchange = function(e) {
-            if (e.newVersion === null) {
-              db.idb.close();
-            }
-          }
+    let loadPayees = function() {
+      return db.storage.load("payees", function(payee) {
+        new Payee(db, payee, true);
+      }).then(function(count) {
+        console.log("Loaded ", count, " payees");
+      });
+    }
 
-          resolve();
-        }
+    let loadSums = function() {
+      return db.storage.load("sums", function(sum) {
+        db.sumsByKey.set(sum.key, new Sum(db, sum.key, sum));
+      }).then(function(count) {
+        console.log("Loaded ", count, " sums");
+      });
+    }
 
-        request.onerror = function() {
-          reject(Error("error opening IndexedDB"));
+    let findTransactions = function() {
+      // Transactions are loaded on demand (see _loadMonths()), so for now we
+      // only need to know which months storage has any for.
+      return Promise.all([
+        db.storage.loadFirst("transactions", "time_order"),
+        db.storage.loadLast("transactions", "time_order"),
+      ]).then(function([first, last]) {
+        if (first && last) {
+          db.storedMonths = [monthOf(first.date), monthOf(last.date)];
         }
       });
     }
 
-    let loadAccounts = function() {
-      return new Promise(function(resolve, reject) {
-        // Load accounts.
-
-        let txn = db.idb.transaction("accounts", "readonly");
-        let accounts = []
-
-        txn.objectStore("accounts").openCursor().onsuccess = function(event) {
-          let cursor = event.target.result;
-          if (cursor) {
-            accounts.push(cursor.value);
-            cursor.continue();
-          } else {
-            // End-of-stream.  Need to ensure that we add parent accounts before
-            // children.
-            accounts = toposort(accounts);
-            accounts.reverse();
-
-            for (let account of accounts) { new Account(db, account, true); }
+    let findPeriodCloses = function() {
+      return db.storage.loadRange(
+          "transactions", "period_close", "", "\uffff", function(txn) {
+        db.periodCloses.set(txn.guid, txn.date);
+      });
+    }
 
-            console.log("Loaded ", accounts.length, " accounts");
+    // Batches that other instances of the book (like in other browser tabs)
+    // commit while we load may or may not be in the data we load.  Applying
+    // one again does no harm, so once loaded we apply all of them that come
+    // after the last commit we saw before loading.
+    let early = [];
 
-            resolve(db);
-          }
-        }
+    let listen = function() {
+      db.storage.listen((message) => early.push(message));
+      return db.storage.loadLast("commits").then(function(commit) {
+        db.storedVersion = commit ? commit.version : 0;
       });
     }
 
-    let loadSums = function() {
-      return new Promise(function(resolve, reject) {
-        // Load accounts.
-
-        let txn = db.idb.transaction("sums", "readonly");
-        let count = 0;
-
-        txn.objectStore("sums").openCursor().onsuccess = function(event) {
-          let cursor = event.target.result;
-          if (cursor) {
-            let sum = cursor.value;
-            db.sumsByKey.set(sum.key, new Sum(db, sum.key, sum));
-            count++;
-            cursor.continue();
-          } else {
-            console.log("Loaded ", count, " sums");
-            resolve(db);
-          }
+    let receive = function() {
+      // Loading accounts bumps the version, but nothing has been committed
+      // yet, so we can resume numbering after the last logged commit.
+      db.version = db.storedVersion;
+      db.lastVersion = db.storedVersion;
+
+      db.storage.listen((message) => db._receive(message));
+      for (let message of early) {
+        if (message.version > db.storedVersion) {
+          db._receive(message);
         }
-      });
+      }
     }
 
-    let loadTransactions = function() {
-      return new Promise(function(resolve, reject) {
-        // Right now we immediately and unconditionally load all transactions; we will
-        // want to replace this with lazy loading.
-
-        // It's confusing but there are two different kinds of transactions going on
-        // here: IndexedDB database transactions and the app-level financial
-        // transactions we are loading.
-        let dbTxn = db.idb.transaction("transactions", "readonly");
-        let count = 0;
-
-        dbTxn.objectStore("transactions").openCursor().onsuccess = function(event) {
-          var cursor = event.target.result;
-          if (cursor) {
-            new Transaction(db, cursor.value, true);
-            count++;
-            cursor.continue();
-          } else {
-            // Finished reading transactions.
-            console.log("Loaded ", count, " transaction");
-            resolve(db);
-          }
-        }
-      });
+    let splitWindows = function() {
+      // Sums stored by earlier versions may be missing finer windows.  This
+      // happens in the background.
+      db._splitOversizedWindows();
+      return db;
     }
 
-    return openDb()
+    return db.storage.open()
+        .then(unlock)
+        .then(listen)
         .then(loadAccounts)
+        .then(loadPayees)
         .then(loadSums)
-        .then(loadTransactions);
+        .then(findTransactions)
+        .then(findPeriodCloses)
+        .then(receive)
+        .then(splitWindows);
   }
 
   /**
@@ -957,28 +1235,272 @@ export class DB {
    * methods.
    */
   close() {
-    this.idb.close();
+    this.storage.close();
+  }
+
+  /**
+   * Returns true if the book has a passphrase (see setPassphrase()).
+   */
+  hasPassphrase(): boolean {
+    return this.storage instanceof EncryptedStorage;
+  }
+
+  /**
+   * Deletes a book (all data is completely lost!), returning a promise.  The
+   * book must not be open.
+   *
+   * @param book The name of the book (in DB.backend), or its Storage.  If
+   *   omitted, the default book is deleted.
+   */
+  static delete(book: ?(string | Storage)) {
+    return Promise.resolve().then(() => DB._storage(book).destroy());
+  }
+
+  /**
+   * Sets, changes or removes the passphrase of a book, returning a promise.
+   * A book with a passphrase is encrypted in storage: the names, amounts and
+   * other contents of its accounts and transactions can't be read without it
+   * (only their guids and dates can).  The whole book is encrypted again with
+   * a new key, so this is slow for a large book.
+   *
+   * The book must not be open in this window.  Instances of it that are open
+   * elsewhere (like in other browser tabs) are closed, and their onLocked is
+   * called.
+   *
+   * @param book The name of the book (in DB.backend), or its Storage.  If
+   *   omitted, the default book is used.
+   * @param passphrase The current passphrase, or null if there is none.
+   * @param newPassphrase The new passphrase, or null to remove it.
+   */
+  static setPassphrase(book: ?(string | Storage), passphrase: ?string,
+                       newPassphrase: ?string): Promise<void> {
+    if (newPassphrase === "") {
+      return Promise.reject("passphrase must not be empty.");
+    }
+
+    let storage;
+    try {
+      storage = DB._storage(book);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    let rekey = function(unlocked) {
+      return unlocked.loadLast("commits").then(function(last) {
+        let lastVersion = last ? last.version : 0;
+        return EncryptedStorage.rekey(unlocked, newPassphrase)
+            .then(function(batch) {
+          // Like any other commit, this one fails if another instance of the
+          // book wrote to it meanwhile, since that write is not in the batch.
+          // Its commit record makes any write still in flight elsewhere fail.
+          let message = {
+            version: lastVersion + 1,
+            changes: [],
+            sums: [],
+            passphraseChanged: true,
+          };
+          batch.checkLast("commits", last ? lastVersion : null);
+          batch.add("commits", {
+            version: message.version,
+            timestamp: new Date().toISOString(),
+            changes: [],
+          });
+          return batch.commit().then(() => unlocked.broadcast(message));
+        });
+      });
+    }
+
+    return storage.open()
+        .then(() => EncryptedStorage.unlock(storage, passphrase))
+        .then(rekey)
+        .then(() => storage.close(), function(error) {
+          storage.close();
+          throw error;
+        });
+  }
+
+  /**
+   * Returns a promise for the names of all books in DB.backend, in sorted
+   * order.
+   */
+  static list(): Promise<Array<string>> {
+    // $FlowIssue: list() is a static method of every Storage class.
+    return DB.backend.list().then((names) => names.sort());
+  }
+
+  static _storage(book: ?(string | Storage)): Storage {
+    if (book instanceof Storage) {
+      return book;
+    }
+
+    let name = book == null ? DEFAULT_BOOK : book;
+    if (typeof name != "string" || name == "") {
+      throw "Invalid book name: " + String(name);
+    }
+
+    return new DB.backend(name);
   }
 
   /**
-   * Deletes the database (all data is completely lost!), returning a promise.
+   * Returns a promise for a backup of the whole book, which DB.importAll() can
+   * restore.  The backup is a JSON-compatible document like:
+   *
+   *   {format: "dblbook-backup", version: 2, accounts: [<Account>, ...],
+   *    transactions: [<Transaction>, ...], payees: [<Payee>, ...]}
+   *
+   * where the objects follow model.proto, and parent accounts
+   * come before their children.  Pending changes are written first.
+   *
+   * This reads every transaction, so it is slow for a large book.
+   */
+  exportAll(): Promise<Object> {
+    return this.flush().then(() => {
+      let version = this.version;
+      let transactions = [];
+
+      let load = this.storage.load("transactions", function(data) {
+        transactions.push(data);
+      });
+
+      return load.then(() => {
+        if (this.version != version) {
+          // The book changed while we were reading it.
+          return this.exportAll();
+        }
+
+        let accounts = [];
+        for (let account of this.accountsByGuid.values()) {
+          if (account.data.guid != rootForType(account.data.type)) {
+            accounts.push(Object.assign({}, account.data));
+          }
+        }
+        accounts = toposort(accounts);
+        accounts.reverse();
+
+        let payees = [];
+        for (let payee of this.payeesByGuid.values()) {
+          payees.push(Object.assign({}, payee.data));
+        }
+
+        return {
+          format: BACKUP_FORMAT,
+          version: BACKUP_VERSION,
+          accounts: accounts,
+          transactions: transactions,
+          payees: payees,
+        };
+      });
+    });
+  }
+
+  /**
+   * Restores a backup from exportAll() into a book, which must be empty.
+   * Returns a promise for the opened DB, once everything has been written to
+   * storage.  Nothing is written if any account or transaction of the backup
+   * is invalid.
+   *
+   * @param doc The backup, as returned by exportAll() (or parsed from JSON).
+   * @param book The name of the book (in DB.backend), or its Storage.  If
+   *   omitted, the default book is used.
    */
-  static delete() {
-    return new Promise(function(resolve, reject) {
-      var request = indexedDB.deleteDatabase("dblbook");
-      request.onsuccess = function() {
-        resolve();
+  static importAll(doc: Object, book: ?(string | Storage)): Promise<DB> {
+    return DB.open(book).then(function(db) {
+      let imported = Promise.resolve().then(() => db._importAll(doc));
+      return imported.then(() => db, (error) => {
+        db.close();
+        throw error;
+      });
+    });
+  }
+
+  _importAll(doc: Object): Promise<void> {
+    if (!doc || doc.format != BACKUP_FORMAT) {
+      throw "not a backup of a book.";
+    } else if (doc.version > BACKUP_VERSION) {
+      throw "backup is from a newer version: " + doc.version;
+    } else if (!isArray(doc.accounts) || !isArray(doc.transactions) ||
+               (doc.payees != null && !isArray(doc.payees))) {
+      throw "invalid backup.";
+    }
+
+    for (let account of this.accountsByGuid.values()) {
+      if (account.data.guid != rootForType(account.data.type)) {
+        throw "can only import into an empty book.";
+      }
+    }
+    if (this.storedMonths || this.payeesByGuid.size > 0) {
+      throw "can only import into an empty book.";
+    }
+
+    // Our own copy, since the DB freezes the data of its objects.  Backups
+    // from before version 2 have no payees.
+    doc = JSON.parse(JSON.stringify(doc));
+    let payees = doc.payees || [];
+
+    let guids = new Set(doc.accounts.map((data) => data.guid));
+    for (let data of doc.accounts) {
+      if (typeof data.guid != "string" || !Account.isValid(data)) {
+        throw "invalid account in backup: " + JSON.stringify(data);
+      } else if (data.parent_guid && !guids.has(data.parent_guid)) {
+        throw "parent account is missing from backup: " + data.parent_guid;
+      }
+    }
+    for (let data of doc.transactions) {
+      if (typeof data.guid != "string" || !Transaction.isValid(data)) {
+        throw "invalid transaction in backup: " + JSON.stringify(data);
       }
-      request.onerror = function(event) {
-        console.log("Error in obliterate", event);
-        reject(new Error("Error in obliterate", event));
+    }
+    for (let data of payees) {
+      if (typeof data.guid != "string" || !Payee.isValid(data)) {
+        throw "invalid payee in backup: " + JSON.stringify(data);
+      }
+    }
+
+    let accounts = toposort(doc.accounts);
+    accounts.reverse();
+
+    // Closing transactions come after the others of their day, which would be
+    // in a closed period otherwise (see closePeriod()).
+    let txnKey = (data) =>
+        data.date + (data.period_close ? "1" : "0") + data.guid;
+    let transactions = doc.transactions.slice().sort(function(a, b) {
+      let keyA = txnKey(a);
+      let keyB = txnKey(b);
+      return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+    });
+
+    return this.atomic(() => {
+      for (let data of payees) {
+        this.createPayee(data);
+      }
+
+      // Accounts are closed only once they have all of their entries, which
+      // may be dated after they were closed (see the Transaction constructor).
+      let closed = [];
+      for (let data of accounts) {
+        if (data.close_date) {
+          closed.push(data);
+          data = Object.assign({}, data);
+          delete data.close_date;
+          delete data.archived;
+        }
+        this.createAccount(data);
+      }
+
+      for (let data of transactions) {
+        this.createTransaction(data);
+      }
+
+      for (let data of closed) {
+        this.getAccountByGuid(data.guid).update(data);
       }
     });
   }
 
   /**
    * Checks the validity of the given transaction, including that all of the
-   * referenced accounts exist.
+   * referenced accounts exist and that none of them (or their ancestors) were
+   * closed before the transaction's date.
    *
    * @param txn Data for a transaction (as in model.proto).
    */
@@ -989,9 +1511,17 @@ export class DB {
 
     for (var i in txnData.entry) {
       var entry = txnData.entry[i]
-      if (!this.accountsByGuid.has(entry.account_guid)) {
+      var account = this.accountsByGuid.get(entry.account_guid);
+      if (!account) {
         return false;
       }
+
+      for (; account; account = account.parent) {
+        var closeDate = account.data.close_date;
+        if (closeDate && txnData.date > closeDate) {
+          return false;
+        }
+      }
     }
 
     return true;
@@ -1015,26 +1545,80 @@ export class DB {
     }
 
     collectionSet.add(obj);
+    obj.committed = this._batchPromise();
+
     if (this.atomicLevel == 0) {
+      // This change is not part of an atomic() block, so it is a commit of its
+      // own.
+      this.version++;
       this._commit();
     }
   }
 
+  /**
+   * Returns a promise for the batch that is being built, which settles once
+   * the batch has been written to storage.  If the write fails, the promise
+   * is rejected with the same event that is passed to onError.
+   */
+  _batchPromise(): Promise<void> {
+    if (!this.batchDeferred) {
+      let deferred = {};
+      deferred.promise = new Promise(function(resolve, reject) {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      });
+      // Failures are also reported to onError, so callers that don't care
+      // about the promise don't need to handle them.
+      deferred.promise.catch(function() {});
+      this.batchDeferred = deferred;
+    }
+    return this.batchDeferred.promise;
+  }
+
   _commit() {
-    if (this.dirtyMap.size == 0) {
+    let deferred = this.batchDeferred;
+    this.batchDeferred = null;
+
+    let notes = this.commitNotes;
+    this.commitNotes = null;
+
+    if (this.dirtyMap.size == 0 && !notes) {
+      if (deferred) { deferred.resolve(); }
       return;
     }
 
-    let txn = this.idb.transaction(arrayFrom(this.dirtyMap.keys()), "readwrite");
-    let added = [];
+    let batch = this.storage.newBatch();
+    let changes = [];
 
-    for (let [collection, objSet] of this.dirtyMap) {
-      let objectStore = txn.objectStore(collection);
+    let sums = [];
 
+    for (let objSet of this.dirtyMap.values()) {
       for (let obj of objSet) {
-        obj._addToTransaction(objectStore, this.version);
-        added.push(obj);
+        let change = obj._addToBatch(batch, this.version);
+        if (change) {
+          changes.push(change);
+        } else if (obj.collection == "sums") {
+          sums.push(obj.committedData);
+        }
+      }
+    }
+
+    // Whether the batch has a commit record.
+    let logged = changes.length > 0 || notes != null;
+
+    if (logged) {
+      let commit: Object = Object.assign({
+        version: this.version,
+        timestamp: new Date().toISOString(),
+        changes: changes
+      }, notes);
+      if (this.commitOrigin) {
+        commit.origin = this.commitOrigin;
+        this.history._clear();
+      } else if (!this.undoing) {
+        this.history._add(changes);
       }
+      batch.add("commits", commit);
     }
 
     this.committing++;
@@ -1047,53 +1631,599 @@ export class DB {
     // that this would be worth it (unless perhaps we were a server).
     this._refreshReaders();
 
-    txn.oncomplete = () => {
-      --this.committing;
+    let version = this.version;
+    let message = {version: version, changes: changes, sums: sums,
+                   logged: logged};
+
+    this._write(batch, message).then(() => {
       if (this.dirtyMap.size != 0 && this.atomicLevel == 0) {
         this._commit();
       }
-    }
-
-    txn.onerror = function(event) {
-      console.log("Write transaction failed: ", event);
-      alert("Write transaction failed (see console)");
-      // Throw a very difficult-to-catch exception.
-      setTimeout(function(){
-          throw "Write transaction failed, cannot continue.";
-      });
-    }
+      this._commitSettled(null);
+      if (deferred) { deferred.resolve(); }
+    }, (error) => {
+      let event = this._commitFailed(version, changes, error);
+      this._commitSettled(event);
+      if (deferred) { deferred.reject(event); }
+    });
   }
 
-  _refreshReaders() {
-    // OPT: if we wanted to we would optimize this to only refresh readers that
-    // actually changed.  But we generally expect there to be a relatively small
-    // number of readers, and we expect refreshing them from in-memory data
-    // to be very cheap.
+  _commitSettled(errorEvent: ?Object) {
+    --this.committing;
 
-    // Need to refresh EntryLists first because Readers may depend on their
-    // contents.
-    let entryLists = Array.from(this.entryLists.values())
-    for (let entryList of entryLists) {
-      entryList._refresh();
+    for (let waiter of this.flushWaiters) {
+      waiter.error = waiter.error || errorEvent;
     }
 
-    for (let reader of this.readers) {
-      reader._refresh();
-    }
-  }
+    if (this.committing == 0) {
+      this._applyReceived();
 
-  static _getDbKey(data: Object, collection): string {
-    let key = ObjectStores[collection];
-    if (!key) {
-      throw "Unknown collection name";
+      let waiters = this.flushWaiters;
+      this.flushWaiters = [];
+      for (let waiter of waiters) {
+        if (waiter.error) {
+          waiter.reject(waiter.error);
+        } else {
+          waiter.resolve();
+        }
+      }
     }
-    return data[key];
   }
 
   /**
-   * Runs the given function, ensuring that any data mutations that happen
-   * inside it are committed to the database atomically.  (Normally this
-   * function might be called DB.transaction(), but we avoid that terminology
+   * Writes a batch to storage and sends it to the other instances of the book
+   * (like in other browser tabs), as the given message.
+   *
+   * The batch is only written if no other instance has committed since this
+   * one last heard from it, since otherwise the batch (and its sums) would be
+   * built on stale data.  In that case it fails with CONFLICT, and is reverted
+   * like any other failed batch.
+   */
+  _write(batch: WriteBatch, message: Object): Promise<void> {
+    batch.checkLast("commits", this.lastVersion || null);
+    if (message.logged) {
+      this.lastVersion = message.version;
+    }
+
+    return batch.commit().then(() => {
+      if (message.logged) {
+        this.storedVersion = message.version;
+      }
+      this.storage.broadcast(message);
+    });
+  }
+
+  /**
+   * Called with the batches that other instances of the book have written
+   * (see _write()).
+   */
+  _receive(message: Object) {
+    if (message.passphraseChanged) {
+      // We can no longer write to the book with our key.
+      this.close();
+      if (this.onLocked) {
+        this.onLocked();
+      }
+      return;
+    }
+
+    this.received.push(message);
+    if (this.committing == 0) {
+      this._applyReceived();
+    }
+  }
+
+  /**
+   * Applies the batches that were received while our own commits were in
+   * progress.  Those were checked against storage before this one, so if
+   * they conflicted with a received batch, they are already reverted.
+   */
+  _applyReceived() {
+    let messages = this.received;
+    this.received = [];
+
+    for (let message of messages) {
+      this._applyBatch(message);
+    }
+  }
+
+  /**
+   * Applies a batch that another instance of the book wrote to storage, to our
+   * objects in memory.  Nothing is written, since storage already has it.  Our
+   * sums are set to the sums of the batch, like they are stored.
+   */
+  _applyBatch(message: Object) {
+    let version = message.version;
+    this.version = Math.max(this.version, version);
+    if (message.logged) {
+      this.storedVersion = version;
+      this.lastVersion = version;
+    }
+
+    this.atomicLevel++;
+    this.receiving = true;
+    try {
+      let states = [];
+      let loaded = [];
+
+      for (let change of message.changes) {
+        if (change.collection == "transactions" &&
+            !this.transactionsByGuid.has(change.key)) {
+          // Not loaded yet: like any other transaction in storage, it is
+          // counted in the sums already.  Closing transactions are known
+          // without loading them, though (the new one adds itself back when
+          // it is loaded below).
+          this.periodCloses.delete(change.key);
+          if (change.after) {
+            loaded.push(change.after);
+          } else if (this.pendingLoads > 0) {
+            this.deletedDuringLoad.add(change.key);
+          }
+          continue;
+        }
+        states.push([change.collection, change.key, change.after]);
+      }
+
+      // The accounts of the batch must exist before its transactions.
+      let accounts = states.filter((s) => s[0] == "accounts" && s[2]);
+      this._setObjectsData(accounts);
+      this._addLoaded(loaded);
+      this._setObjectsData(states.filter((s) => accounts.indexOf(s) == -1));
+
+      for (let data of message.sums) {
+        this._setSumData(data);
+      }
+    } finally {
+      this.receiving = false;
+      this.atomicLevel--;
+    }
+
+    for (let objSet of this.dirtyMap.values()) {
+      for (let updater of objSet) {
+        updater.obj.version = version;
+      }
+    }
+    this._markDirtyCommitted();
+
+    let deferred = this.batchDeferred;
+    this.batchDeferred = null;
+    if (deferred) { deferred.resolve(); }
+
+    // Our undo steps could revert the other instance's changes.
+    this.history._clear();
+    this._refreshReaders();
+  }
+
+  /**
+   * Sets a sum to the given data (which follows the Sum schema in
+   * model.proto), creating the sum if needed.
+   */
+  _setSumData(data: Object) {
+    let sum = this.sumsByKey.get(data.key);
+
+    if (!sum) {
+      sum = new Sum(this, data.key);
+      this.sumsByKey.set(data.key, sum);
+      this.windowsVersion++;
+    } else if (sum.split != !!data.split) {
+      this.windowsVersion++;
+    }
+
+    sum.amount = new Amount(data.amount);
+    sum.count = data.count;
+    sum.split = !!data.split;
+    sum.dbUpdater.update();
+  }
+
+  /**
+   * Marks all objects in dirtyMap as committed, without writing them.
+   */
+  _markDirtyCommitted() {
+    for (let objSet of this.dirtyMap.values()) {
+      for (let updater of objSet) {
+        updater._markCommitted();
+      }
+    }
+    this.dirtyMap.clear();
+  }
+
+  /**
+   * Returns a promise that settles once all commits that have been started so
+   * far (and any that they lead to) have been written to storage.  It is
+   * rejected with the onError event of the first commit that failed.
+   *
+   * Changes in an atomic() block that hasn't finished yet are not committed
+   * yet, so they are not waited for.
+   */
+  flush(): Promise<void> {
+    if (this.splits.size > 0) {
+      // Splitting summing windows leads to more commits.
+      return Promise.all(this.splits.values()).then(() => this.flush());
+    }
+
+    if (this.committing == 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.flushWaiters.push({resolve: resolve, reject: reject, error: null});
+    });
+  }
+
+  _refreshReaders() {
+    // OPT: if we wanted to we would optimize this to only refresh readers that
+    // actually changed.  But we generally expect there to be a relatively small
+    // number of readers, and we expect refreshing them from in-memory data
+    // to be very cheap.
+
+    // Need to refresh EntryLists first because Readers may depend on their
+    // contents.
+    let entryLists = Array.from(this.entryLists.values())
+    for (let entryList of entryLists) {
+      entryList._refresh();
+    }
+
+    for (let reader of this.readers) {
+      reader._refresh();
+    }
+  }
+
+  /**
+   * Returns a promise for the entries of the commit log, in version order.
+   * Every atomic batch of changes to accounts and transactions appends one
+   * entry to the log, which follows the Commit schema in model.proto.
+   *
+   * @param startVersion If specified, only commits with a greater version
+   *   are returned.
+   */
+  getCommits(startVersion: ?number): Promise<Array<Object>> {
+    let commits = [];
+    let start = startVersion || 0;
+
+    return this.storage.load("commits", function(commit) {
+      if (commit.version > start) {
+        commits.push(commit);
+      }
+    }).then(function() {
+      return commits;
+    });
+  }
+
+  /**
+   * Checks the book for data that is wrong, returning a promise for a list of
+   * the problems found (empty if there are none).  Every sum is recomputed
+   * from the transactions in storage and compared with the sum we have, since
+   * a bug or an interrupted write could otherwise leave it wrong forever.
+   * Problems are objects like:
+   *
+   *   {type: "sum", key: "<sum key>", expected: <Sum>, actual: <Sum or null>}
+   *   {type: "transaction", guid: "<transaction guid>", error: "<message>"}
+   *
+   * where Sums follow the Sum schema in model.proto.  Transactions that
+   * reference accounts that don't exist or that are unbalanced can't be
+   * loaded, so they are not counted in the expected sums.
+   *
+   * This reads every transaction, so it is slow for a large book.
+   */
+  verify(): Promise<Array<Object>> {
+    return this._check(false);
+  }
+
+  /**
+   * Like verify(), but also rewrites the sums that are wrong, in a single
+   * atomic batch.  The promise succeeds once they are written.  Transactions
+   * with problems are left alone, since only the user can tell how to fix
+   * them.
+   */
+  repair(): Promise<Array<Object>> {
+    return this._check(true);
+  }
+
+  _check(repair: boolean): Promise<Array<Object>> {
+    // A failed write is reverted, so either way the sums in memory then match
+    // storage.
+    let settled = () => {
+      let version = this.version;
+      let problems = [];
+      let expected = new Map();
+
+      let load = this.storage.load("transactions", (data) => {
+        let error = this._transactionError(data);
+        if (error) {
+          problems.push({type: "transaction", guid: data.guid, error: error});
+        } else {
+          this._addExpectedSums(expected, data);
+        }
+      });
+
+      return load.then(() => {
+        if (this.version != version) {
+          // The book changed while we were reading it.
+          return this._check(repair);
+        }
+
+        problems = problems.concat(this._badSums(expected));
+        if (!repair) {
+          return problems;
+        }
+
+        return this.atomic(() => {
+          for (let problem of problems) {
+            if (problem.type == "sum") {
+              this._setSumData(problem.expected);
+            }
+          }
+        }).then(() => {
+          // Windows may have grown too large.
+          this._splitOversizedWindows();
+          return problems;
+        });
+      });
+    }
+
+    return this.flush().then(settled, settled);
+  }
+
+  /**
+   * Returns why the stored transaction can't be loaded, or null if it can.
+   */
+  _transactionError(data: Object): ?string {
+    for (let entry of data.entry || []) {
+      if (!this.accountsByGuid.has(entry.account_guid)) {
+        return "Account doesn't exist: " + entry.account_guid;
+      }
+    }
+
+    if (isArray(data.entry) && Transaction.unbalancedAmount(data)) {
+      return "Transaction is unbalanced";
+    } else if (!Transaction.isValid(data)) {
+      return "Transaction is invalid";
+    }
+
+    return null;
+  }
+
+  /**
+   * Adds the entries of the stored transaction to the expected sums (sum key
+   * -> {amount, count}), in the windows that it is counted in (see
+   * _getSumsForEntry()).  Like Transaction._createEntries(), every ancestor
+   * of an account gets a single entry as well.
+   */
+  _addExpectedSums(expected: Map<string, Object>, data: Object) {
+    let amounts = new Map();
+    let byTimeKey = data.date + data.guid;
+
+    for (let entryData of data.entry) {
+      let account = this.accountsByGuid.get(entryData.account_guid);
+      while (account) {
+        let amount = amounts.get(account) || new Amount();
+        amount.add(new Amount(entryData.amount));
+        amounts.set(account, amount);
+        account = account.parent;
+      }
+    }
+
+    for (let [account, amount] of amounts) {
+      let parent = null;
+
+      for (let length of WindowLengths) {
+        if (!isPeriodWindow(length) && !(parent && parent.split)) {
+          break;
+        }
+
+        let key =
+            account.data.guid + ";" + windowKey(byTimeKey.substr(0, length));
+        let sum = expected.get(key) || {amount: new Amount(), count: 0};
+        sum.amount.add(amount);
+        sum.count++;
+        expected.set(key, sum);
+        parent = this.sumsByKey.get(key);
+      }
+    }
+  }
+
+  /**
+   * Returns problems (see verify()) for all sums that don't match the expected
+   * sums, including sums that should be zero.
+   */
+  _badSums(expected: Map<string, Object>): Array<Object> {
+    let problems = [];
+
+    let check = (key, actual) => {
+      let sum = expected.get(key) || {amount: new Amount(), count: 0};
+      if (actual && actual.count == sum.count) {
+        let diff = actual.amount.dup();
+        diff.sub(sum.amount);
+        if (diff.isZero()) {
+          return;
+        }
+      }
+
+      let data: Object =
+          {key: key, count: sum.count, amount: sum.amount.toModel()};
+      if (actual && actual.split) {
+        data.split = true;
+      }
+      problems.push({type: "sum", key: key, expected: data,
+                     actual: actual ? actual.toModel() : null});
+    }
+
+    for (let key of Array.from(expected.keys()).sort()) {
+      check(key, this.sumsByKey.get(key));
+    }
+
+    // $FlowIssue: Doesn't recognize the iterator.
+    for (let [key, sum] of this.sumsByKey.iterator()) {
+      if (!expected.has(key)) {
+        check(key, sum);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Returns the end date (YYYY-MM-DD) of the latest closed accounting period,
+   * or null if no period is closed.  Transactions can't be added, changed or
+   * deleted on or before this date.
+   */
+  getClosedDate(): ?string {
+    let ret = null;
+    for (let date of this.periodCloses.values()) {
+      if (ret == null || date > ret) {
+        ret = date;
+      }
+    }
+    return ret;
+  }
+
+  /**
+   * Closes the accounting period that ends on the given date (YYYY-MM-DD),
+   * like at the end of a fiscal year.  This zeroes the balance of every
+   * income and expense account as of that date with a closing transaction,
+   * which moves the net income of the period into the given equity account
+   * (like "Retained Earnings").  Afterwards the period is locked, until it is
+   * reopened with reopenPeriod().
+   *
+   * The period starts after the previous closed period (if any).  Returns a
+   * promise for the closing transaction, which settles once it has been
+   * written to storage.
+   */
+  closePeriod(endDate: string, equity: Account): Promise<Transaction> {
+    if (equity.data.type != "EQUITY" ||
+        equity.data.guid == rootForType("EQUITY")) {
+      throw "closing entries must go to an equity account.";
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      throw "invalid period end date: " + endDate;
+    }
+
+    let closed = this.getClosedDate();
+    if (closed && endDate <= closed) {
+      throw "period is already closed.";
+    }
+
+    // Balances at the end of the period's last day.  Balances of accounts
+    // include their children, so each account closes its own share of its
+    // balance.
+    let accounts = [];
+    let readers = new Map();
+    let addAccount = (account) => {
+      readers.set(account, account.newBalanceReader(
+          {frequency: "DAY", startDate: endDate, count: 1}));
+      // $FlowIssue: Doesn't recognize the iterator.
+      for (let [name, child] of account.children.iterator()) {
+        accounts.push(child);
+        addAccount(child);
+      }
+    }
+    addAccount(this.getNominalRoot());
+
+    return new Promise(function(resolve) {
+      Observable.whenLoaded(Array.from(readers.values()), resolve);
+    }).then(() => {
+      let balance = (account) => readers.get(account).getPoints()[0].endBalance;
+      let entry = [];
+
+      for (let account of accounts) {
+        let closing = new Amount();
+        closing.sub(balance(account));
+        // $FlowIssue: Doesn't recognize the iterator.
+        for (let [name, child] of account.children.iterator()) {
+          closing.add(balance(child));
+        }
+        if (!closing.isZero()) {
+          entry.push({account_guid: account.data.guid,
+                      amount: closing.toModel()});
+        }
+      }
+
+      let netIncome = balance(this.getNominalRoot()).toModel();
+
+      for (let reader of readers.values()) {
+        reader.close();
+      }
+
+      if (entry.length == 0) {
+        throw "no income or expenses to close.";
+      }
+
+      entry.push({account_guid: equity.data.guid, amount: netIncome});
+
+      let txn;
+      return this.atomic(() => {
+        txn = this.createTransaction({
+          description: "Closing entries for the period ending " + endDate,
+          date: endDate,
+          entry: entry,
+          period_close: true,
+        });
+      }).then(() => txn);
+    });
+  }
+
+  /**
+   * Reopens the latest closed accounting period by deleting its closing
+   * transaction, so that its transactions can be changed again.  Returns a
+   * promise that fails if there is no closed period, and otherwise settles
+   * once the change has been written to storage.
+   */
+  reopenPeriod(): Promise<void> {
+    let closed = this.getClosedDate();
+    for (let [guid, date] of this.periodCloses) {
+      if (date == closed) {
+        return this.getTransactionByGuid(guid).then((txn) => txn.delete(),
+            (error) => {
+          return this.storage.get("transactions", guid).then((data) => {
+            if (data) {
+              throw error;
+            }
+            // Another instance of the book deleted it, and we haven't heard
+            // about it yet.
+            this.periodCloses.delete(guid);
+          });
+        });
+      }
+    }
+    return Promise.reject("no closed period to reopen.");
+  }
+
+  /**
+   * Returns an error message if changing a transaction from oldData to newData
+   * (either of which may be null, for adding or deleting one) would change a
+   * closed period, or null if the change is allowed.
+   */
+  _periodLockError(oldData: ?Object, newData: ?Object): ?string {
+    let closed = this.getClosedDate();
+    if (!closed || this.receiving || this.reverting) {
+      return null;
+    }
+
+    // The latest closing transaction can be deleted to reopen its period.
+    let reopening = oldData && !newData && oldData.period_close &&
+        oldData.date == closed;
+
+    if ((oldData && oldData.date <= closed && !reopening) ||
+        (newData && newData.date <= closed)) {
+      return "cannot change transactions in a closed period.";
+    }
+
+    return null;
+  }
+
+  static _getDbKey(data: Object, collection): string {
+    let key = ObjectStores[collection];
+    if (!key) {
+      throw "Unknown collection name";
+    }
+    return data[key];
+  }
+
+  /**
+   * Runs the given function, ensuring that any data mutations that happen
+   * inside it are committed to the database atomically.  (Normally this
+   * function might be called DB.transaction(), but we avoid that terminology
    * here to avoid confusion with accounting Transaction objects).
    *
    * Batching multiple related mutations into an atomic DB transaction is
@@ -1104,17 +2234,310 @@ export class DB {
    *
    * For this reasons, it pays to wrap a batch of mutations in DB.atomic().
    * DB.atomic() is safe to nest.
+   *
+   * If func throws, all mutations of the batch are rolled back and the
+   * exception is passed on to the caller.  If the batch can't be written to
+   * storage, it is rolled back as well, and this.onError is called.
+   *
+   * Returns a promise that settles once the batch (including any outer
+   * atomic() block this is nested in) has been written to storage.
    */
-  atomic(func: Function) {
+  atomic(func: Function): Promise<void> {
     if (this.atomicLevel++ == 0) {
       this.version++;
     }
 
-    func();
+    let promise = this._batchPromise();
+
+    try {
+      func();
+    } catch (e) {
+      // The whole batch is rolled back (not just this nested block) once the
+      // exception reaches the outermost atomic().
+      if (--this.atomicLevel == 0) {
+        this._rollback(e);
+      }
+      throw e;
+    }
 
     if (--this.atomicLevel == 0) {
       this._commit();
     }
+
+    return promise;
+  }
+
+  /**
+   * Reverts all changes in the batch that is being built, after an exception
+   * in atomic().  Objects that were deleted in the batch are re-created as new
+   * Account/Transaction objects.
+   */
+  _rollback(error: any) {
+    // Only objects that existed before the batch have committedData.
+    let states = new Map();
+
+    for (let [collection, objSet] of this.dirtyMap) {
+      if (!LoggedCollections.has(collection)) {
+        continue;
+      }
+      for (let updater of objSet) {
+        let id = collection + ":" + updater.key;
+        if (updater.committedData || !states.has(id)) {
+          states.set(id, [collection, updater.key, updater.committedData]);
+        }
+      }
+    }
+
+    this._revert(arrayFrom(states.values()).reverse());
+    this.commitNotes = null;
+
+    // Sums are back to their stored values too, so nothing is left to write.
+    for (let objSet of this.dirtyMap.values()) {
+      for (let updater of objSet) {
+        updater._markCommitted();
+      }
+    }
+    this.dirtyMap.clear();
+    this._refreshReaders();
+
+    // Nested atomic() blocks may have handed out the promise for this batch.
+    let deferred = this.batchDeferred;
+    this.batchDeferred = null;
+    if (deferred) { deferred.reject(error); }
+  }
+
+  /**
+   * Called when writing a batch to storage failed.  The storage still has the
+   * data from before the batch, so we revert the batch in memory too (except
+   * for objects that a later batch has changed again).
+   */
+  _commitFailed(version: number, changes: Array<Object>,
+                error: any): Object {
+    let states = [];
+
+    for (let change of changes.slice().reverse()) {
+      let obj = this._getObject(change.collection, change.key);
+      let current = obj ? obj.toModel() : null;
+      if (current === change.after) {
+        states.push([change.collection, change.key, change.before]);
+      }
+    }
+
+    // The reverted state is a new version, so that readers see a change.
+    this.version++;
+    this.history._remove(changes);
+    this._revert(states);
+
+    // Pending writes that were built on this batch will fail too.  Later ones
+    // start from what storage has.
+    this.lastVersion = this.storedVersion;
+
+    if (error === CONFLICT) {
+      // Storage has the sums of the conflicting batch, and we will receive
+      // them with it (see _receive()).
+      this._markDirtyCommitted();
+    }
+
+    // Sums that changed need to be written, since storage only has them as of
+    // the last successful commit.  This also refreshes readers.
+    if (this.dirtyMap.size > 0) {
+      this._commit();
+    } else {
+      this._refreshReaders();
+    }
+
+    let event = {type: "commit", version: version, changes: changes,
+                 error: error};
+    if (this.onError) {
+      this.onError(event);
+    } else {
+      console.log("Write transaction failed: ", error);
+    }
+
+    return event;
+  }
+
+  /**
+   * Sets the given objects back to the data that storage has for them, without
+   * writing or logging them.  Any Sums that change as a result are left in
+   * dirtyMap.
+   */
+  _revert(states: Array<[string, string, ?Object]>) {
+    this.atomicLevel++;
+    this.reverting = true;
+    try {
+      this._setObjectsData(states);
+    } finally {
+      this.reverting = false;
+      this.atomicLevel--;
+    }
+
+    for (let collection of LoggedCollections) {
+      let objSet = this.dirtyMap.get(collection);
+      if (objSet) {
+        for (let updater of objSet) {
+          updater._markCommitted();
+        }
+        this.dirtyMap.delete(collection);
+      }
+    }
+  }
+
+  /**
+   * Like atomic(), but records in the commit log that the changes were
+   * replayed from a commit made on another device (see sync.js), so that they
+   * are not pushed back to it.
+   *
+   * @param origin The device and version of the original commit, for example:
+   *   {device: "laptop", version: 15}.
+   */
+  _replayAtomic(origin: Object, func: Function) {
+    if (this.atomicLevel != 0) {
+      throw "Cannot replay a commit inside atomic().";
+    }
+
+    this.commitOrigin = origin;
+    try {
+      this.atomic(func);
+    } finally {
+      this.commitOrigin = null;
+    }
+  }
+
+  /**
+   * Adds the given items to a list in the record of the commit being built,
+   * like the conflicts that sync.js keeps in the commit log.  The commit is
+   * recorded even if it has no changes.
+   *
+   * @param field The field of the Commit (see model.proto), like "resolved".
+   */
+  _logInCommit(field: string, items: Array<Object>) {
+    if (this.atomicLevel == 0) {
+      throw "Must be called inside atomic().";
+    }
+
+    let notes = this.commitNotes || {};
+    notes[field] = (notes[field] || []).concat(items);
+    this.commitNotes = notes;
+  }
+
+  /**
+   * Returns true if there is a batch of changes that undo() can revert.
+   * Subscribe to this.history to hear when this changes.
+   */
+  canUndo(): boolean { return this.history.canUndo(); }
+
+  /**
+   * Returns true if there is an undone batch of changes that redo() can
+   * reapply.
+   */
+  canRedo(): boolean { return this.history.canRedo(); }
+
+  /**
+   * Reverts the most recent batch of local changes (all the changes made by
+   * one atomic() block, or a single change made outside of one).  Sums and
+   * Readers are updated as for any other change, and the undo is itself
+   * recorded in the commit log.
+   */
+  undo() {
+    if (!this.canUndo()) {
+      throw "Nothing to undo.";
+    }
+
+    let changes = this.history.undoStack.pop();
+    this._applyHistory(changes.slice().reverse().map(
+        (change) => [change.collection, change.key, change.before]));
+    this.history.redoStack.push(changes);
+    this.history._notifySubscribers();
+  }
+
+  /**
+   * Reapplies the most recent batch of changes that was reverted by undo().
+   */
+  redo() {
+    if (!this.canRedo()) {
+      throw "Nothing to redo.";
+    }
+
+    let changes = this.history.redoStack.pop();
+    this._applyHistory(changes.map(
+        (change) => [change.collection, change.key, change.after]));
+    this.history.undoStack.push(changes);
+    this.history._notifySubscribers();
+  }
+
+  /**
+   * Sets the given objects to the given data in a single atomic batch.
+   *
+   * @param states An array of [collection, key, data] for each object, where
+   *   data is null if the object should be deleted.
+   */
+  _applyHistory(states: Array<[string, string, ?Object]>) {
+    if (this.atomicLevel != 0) {
+      throw "Cannot undo or redo inside atomic().";
+    }
+
+    this.undoing = true;
+    try {
+      this.atomic(() => this._setObjectsData(states));
+    } finally {
+      this.undoing = false;
+    }
+  }
+
+  /**
+   * Like _setObjectData() below, for several objects at once.  The objects
+   * are changed in an order that keeps every intermediate state valid, as
+   * long as the final state is.
+   */
+  _setObjectsData(states: Array<[string, string, ?Object]>) {
+    let referenced = states.filter((s) => s[0] != "transactions");
+    let txns = states.filter((s) => s[0] == "transactions");
+
+    // Accounts (and payees) must exist before transactions can refer to them,
+    // and can't be deleted until the transactions referring to them are gone.
+    for (let [collection, key, data] of referenced) {
+      if (data) { this._setObjectData(collection, key, data); }
+    }
+    for (let [collection, key, data] of txns) {
+      this._setObjectData(collection, key, data);
+    }
+    for (let [collection, key, data] of referenced) {
+      if (!data) { this._setObjectData(collection, key, data); }
+    }
+  }
+
+  _getObject(collection: string, key: string): any {
+    if (collection == "accounts") {
+      return this.getAccountByGuid(key);
+    } else if (collection == "payees") {
+      return this.getPayeeByGuid(key);
+    } else {
+      return this.transactionsByGuid.get(key);
+    }
+  }
+
+  /**
+   * Creates, updates or deletes the given account, transaction or payee so
+   * that its data is the given data (or so that it doesn't exist, if data is null).
+   * Returns the object, or null if it doesn't exist afterwards.
+   */
+  _setObjectData(collection: string, key: string, data: ?Object): any {
+    let obj = this._getObject(collection, key);
+
+    if (!data) {
+      if (obj) { obj.delete(); }
+      return null;
+    } else if (obj) {
+      obj.update(data);
+      return obj;
+    } else if (collection == "accounts") {
+      return this.createAccount(data);
+    } else if (collection == "payees") {
+      return this.createPayee(data);
+    } else {
+      return this.createTransaction(data);
+    }
   }
 
   /**
@@ -1125,6 +2548,8 @@ export class DB {
    *    parent is set, it must exist.
    * 3. the name must not be the same as any other account with this parent.
    *
+   * Call whenCommitted() on the new account to find out when it is stored.
+   *
    * @param accountData Data for the account to add (to match model.proto).
    */
   createAccount(accountData: Object): Account {
@@ -1133,7 +2558,8 @@ export class DB {
 
   /**
    * Adds a transaction.  The transaction must be valid.  The guid should not
-   * be set.
+   * be set.  Call whenCommitted() on the new transaction to find out when it is
+   * stored.
    *
    * @param txnData The transaction to add.
    */
@@ -1141,6 +2567,61 @@ export class DB {
     return new Transaction(this, txnData);
   }
 
+  /**
+   * Adds a payee.  The payee must be valid, and its name must not be the same
+   * as that of any other payee.  The guid may or may not be set.  Call
+   * whenCommitted() on the new payee to find out when it is stored.
+   *
+   * @param payeeData Data for the payee to add (to match model.proto).
+   */
+  createPayee(payeeData: Object): Payee {
+    return new Payee(this, payeeData);
+  }
+
+  /**
+   * Gets a payee by guid, or undefined if no payee has this guid.  All payees
+   * are loaded at all times.
+   */
+  getPayeeByGuid(guid: string): ?Payee {
+    return this.payeesByGuid.get(guid);
+  }
+
+  /**
+   * Returns all payees, sorted by name.
+   */
+  getPayees(): Array<Payee> {
+    return Array.from(this.payeesByGuid.values()).sort(function(a, b) {
+      let nameA = a.data.name.toLowerCase();
+      let nameB = b.data.name.toLowerCase();
+      return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+    });
+  }
+
+  /**
+   * Returns the payee for a raw description from a bank or an import, like
+   * "AMZN MKTP US*2K3": the payee with this name, or else the first one (by
+   * name) that has a matching alias.  Returns null if there is none.
+   */
+  matchPayee(description: string): ?Payee {
+    return this._payeeWithName(description.trim()) ||
+        this.getPayees().find((payee) => payee._aliasMatches(description)) ||
+        null;
+  }
+
+  /**
+   * Returns the payee with this name (ignoring case), or null if there is
+   * none.
+   */
+  _payeeWithName(name: string): ?Payee {
+    let lower = name.toLowerCase();
+    for (let payee of this.payeesByGuid.values()) {
+      if (payee.data.name.toLowerCase() == lower) {
+        return payee;
+      }
+    }
+    return null;
+  }
+
   /**
    * Returns the root of the real account tree.
    *
@@ -1155,38 +2636,288 @@ export class DB {
   }
 
   /**
-   * Returns the root of the nominal account tree.
-   *
-   * The returned object is a Account object, but it has no "data"
-   * member.  You can retrieve its children and get a balance or transaction
-   * Reader for it.  But you cannot update/delete it or give it any transactions.
-   *
-   * @return {Account} The root of the nominal account tree.
+   * Returns the root of the nominal account tree.
+   *
+   * The returned object is a Account object, but it has no "data"
+   * member.  You can retrieve its children and get a balance or transaction
+   * Reader for it.  But you cannot update/delete it or give it any transactions.
+   *
+   * @return {Account} The root of the nominal account tree.
+   */
+  getNominalRoot(): Account {
+    return this.accountsByGuid.get("NOMINAL_ROOT");
+  }
+
+  /**
+   * Returns the root of the equity account tree, for accounts like opening
+   * balances and owner contributions.  Like the other roots, it can't be
+   * updated or deleted or given any transactions.
+   *
+   * @return {Account} The root of the equity account tree.
+   */
+  getEquityRoot(): Account {
+    return this.accountsByGuid.get("EQUITY_ROOT");
+  }
+
+  /**
+   * Gets an account by guid, or undefined if no account has this guid.
+   *
+   * Since all accounts are loaded at all times, the account is returned
+   * directly (not a promise).
+   */
+  getAccountByGuid(guid: string): ?Account {
+    return this.accountsByGuid.get(guid);
+  }
+
+  /**
+   * Returns a new TransactionQuery: a live list of the transactions that match
+   * the given criteria, like all with an entry of $412.19 in any account.
+   * Transactions that aren't in memory yet are loaded, and the list is
+   * updated (notifying its subscribers) as transactions change.
+   */
+  newTransactionQuery(options: TransactionQueryOptions): TransactionQuery {
+    return new TransactionQuery(this, options);
+  }
+
+  /**
+   * Gets a transaction by guid.  Returns a promise, since the transaction may
+   * need to be loaded first.  If the transaction exists, the promise succeeds
+   * and yields the transaction, otherwise the promise fails.
+   */
+  getTransactionByGuid(guid: string): Promise<Transaction> {
+    let txn = this.transactionsByGuid.get(guid);
+    if (txn) {
+      return Promise.resolve(txn);
+    }
+
+    let load = this.storage.get("transactions", guid);
+
+    return this._trackLoad(load, (data) => {
+      if (data) {
+        this._addLoaded([data]);
+        this._refreshReaders();
+      }
+
+      // It may also have been created or loaded while we were waiting.
+      let txn = this.transactionsByGuid.get(guid);
+      if (!txn) {
+        throw "transaction does not exist";
+      }
+      return txn;
+    });
+  }
+
+  /**
+   * Loads the transactions with the given guids, skipping any that don't
+   * exist.  Returns a promise that succeeds once they are in memory.
+   */
+  _loadTransactionsByGuid(guids: Array<string>): Promise<void> {
+    let loads = guids.map(
+        (guid) => this.getTransactionByGuid(guid).then(null, () => null));
+    return Promise.all(loads).then(() => {});
+  }
+
+  /**
+   * Loads all transactions in the given months (strings like "2015-09") that
+   * are not loaded or being loaded yet.  If an account is given, only loads
+   * the transactions with entries for it (or its descendants), through the
+   * account_order index.  Returns a promise that succeeds once all of them
+   * are in memory.  Readers are refreshed as the data arrives.
+   */
+  _loadMonths(months: Array<string>, account: ?Account): Promise<void> {
+    let promises = [];
+    let sorted = months.slice().sort();
+
+    // Transactions are indexed by the accounts that they explicitly have
+    // entries for, so for a parent account we load those of every descendant.
+    let accounts = account ? this._accountAndDescendants(account) : [null];
+
+    for (let acct of accounts) {
+      let prefix = acct ? acct.data.guid + ";" : "";
+      let loaded = acct ? acct.loadedMonths : this.loadedMonths;
+      let run = [];
+
+      // Loads a run of consecutive months with a single range query.
+      let loadRun = () => {
+        if (run.length == 0) {
+          return;
+        }
+
+        let runMonths = run;
+        let records = [];
+        run = [];
+
+        let load = this.storage.loadRange(
+            "transactions", acct ? "account_order" : "time_order",
+            prefix + runMonths[0],
+            prefix + addMonths(runMonths[runMonths.length - 1], 1),
+            (data) => records.push(data));
+
+        let promise = this._trackLoad(load, () => {
+          this._addLoaded(records);
+          for (let month of runMonths) {
+            loaded.add(month);
+          }
+        }).then(() => {
+          for (let month of runMonths) {
+            this.loads.delete(prefix + month);
+          }
+          this._refreshReaders();
+        }, (error) => {
+          for (let month of runMonths) {
+            this.loads.delete(prefix + month);
+          }
+          console.log("Error loading transactions: ", error);
+          throw error;
+        });
+
+        for (let month of runMonths) {
+          this.loads.set(prefix + month, promise);
+        }
+        promises.push(promise);
+      }
+
+      for (let month of sorted) {
+        let loading = this.loads.get(prefix + month) || this.loads.get(month);
+
+        if (loading || this._isMonthLoaded(month) || loaded.has(month)) {
+          loadRun();
+          if (loading) { promises.push(loading); }
+        } else {
+          if (run.length > 0 && addMonths(run[run.length - 1], 1) != month) {
+            loadRun();
+          }
+          run.push(month);
+        }
+      }
+
+      loadRun();
+    }
+
+    return Promise.all(promises).then(() => {});
+  }
+
+  /**
+   * Calls func with the result of the given load, keeping track of the load
+   * while it is in progress (see deletedDuringLoad).
+   */
+  _trackLoad(load: Promise<any>, func: Function): Promise<any> {
+    this.pendingLoads++;
+
+    let done = () => {
+      if (--this.pendingLoads == 0) {
+        this.deletedDuringLoad.clear();
+      }
+    }
+
+    return load.then(function(result) {
+      try {
+        return func(result);
+      } finally {
+        done();
+      }
+    }, function(error) {
+      done();
+      throw error;
+    });
+  }
+
+  /**
+   * Adds transactions that were loaded from storage, except for any that are
+   * already in memory or that were deleted while they were being loaded.
+   */
+  _addLoaded(records: Array<Object>) {
+    this.atomic(() => {
+      for (let data of records) {
+        if (this.transactionsByGuid.has(data.guid) ||
+            this.deletedDuringLoad.has(data.guid)) {
+          continue;
+        }
+
+        let txn = new Transaction(this, data, true);
+        for (let entry of txn.entries.values()) {
+          this._invalidateEntryLists(entry.account, data.date);
+        }
+      }
+    });
+  }
+
+  /**
+   * Returns true if all transactions in the given month are loaded, or (if an
+   * account is given) all that have entries for that account.
+   */
+  _isMonthLoaded(month: string, account: ?Account): boolean {
+    let stored = this.storedMonths;
+    if (!stored || month < stored[0] || month > stored[1] ||
+        this.loadedMonths.has(month)) {
+      return true;
+    }
+
+    return account != null && this._accountAndDescendants(account).every(
+        (acct) => acct.loadedMonths.has(month));
+  }
+
+  /**
+   * Returns the first month that is not loaded yet (see _isMonthLoaded()),
+   * searching from "from" towards "to" (inclusive), or null if they are all
+   * loaded.  If "to" is null, searches all the way to the first or last month
+   * in storage.
    */
-  getNominalRoot(): Account {
-    return this.accountsByGuid.get("NOMINAL_ROOT");
+  _firstUnloadedMonth(from: string, to: ?string, forward: boolean,
+                      account: ?Account): ?string {
+    if (!this.storedMonths) {
+      return null;
+    }
+
+    let [first, last] = this.storedMonths;
+
+    if (forward) {
+      let end = (to && to < last) ? to : last;
+      for (let m = (from > first) ? from : first; m <= end;
+           m = addMonths(m, 1)) {
+        if (!this._isMonthLoaded(m, account)) { return m; }
+      }
+    } else {
+      let end = (to && to > first) ? to : first;
+      for (let m = (from < last) ? from : last; m >= end;
+           m = addMonths(m, -1)) {
+        if (!this._isMonthLoaded(m, account)) { return m; }
+      }
+    }
+
+    return null;
   }
 
   /**
-   * Gets an account by guid, or undefined if no account has this guid.
-   *
-   * Since all accounts are loaded at all times, the account is returned
-   * directly (not a promise).
+   * Returns all months from "from" to "to" (inclusive) that are not loaded
+   * yet (see _isMonthLoaded()).
    */
-  getAccountByGuid(guid: string): ?Account {
-    return this.accountsByGuid.get(guid);
+  _unloadedMonths(from: string, to: string, account: ?Account): Array<string> {
+    let ret = [];
+    for (let m = from; m <= to; m = addMonths(m, 1)) {
+      if (!this._isMonthLoaded(m, account)) { ret.push(m); }
+    }
+    return ret;
   }
 
   /**
-   * Gets a transaction by guid.  Returns a promise, since the transaction may
-   * need to be loaded first.  If the transaction exists, the promise succeeds
-   * and yields the transaction, otherwise the promise fails.
+   * Returns every month in storage that is not loaded yet for the account
+   * (see _isMonthLoaded()).
    */
-  getTransactionByGuid(guid: string): Promise<Transaction> {
-    return new Promise(function(resolve, reject) {
-      // At the moment we keep all transactions loaded at all times.
-      resolve(this.transactionsByGuid.get(guid));
-    });
+  _allUnloadedMonths(account: Account): Array<string> {
+    let stored = this.storedMonths;
+    return stored ? this._unloadedMonths(stored[0], stored[1], account) : [];
+  }
+
+  _accountAndDescendants(account: Account): Array<Account> {
+    let ret = [account];
+    for (let i = 0; i < ret.length; i++) {
+      // $FlowIssue: Doesn't recognize the iterator.
+      for (let [name, child] of ret[i].children.iterator()) {
+        ret.push(child);
+      }
+    }
+    return ret;
   }
 
   _invalidateEntryLists(account: Account, dateStr: string) {
@@ -1205,19 +2936,144 @@ export class DB {
     } else {
       ret = new Sum(this, key)
       this.sumsByKey.set(key, ret);
+      this.windowsVersion++;
       return ret;
     }
   }
 
-  _getSum(account: Account, date: Date, period: SummingPeriod): Sum {
-    return this._getSumByKey(account, period.getSumKey(period.roundDown(date)));
+  _getWindowSum(account: Account, prefix: string): Sum {
+    return this._getSumByKey(account, windowKey(prefix));
+  }
+
+  /**
+   * Returns the sums of the windows that an entry with the given key (see
+   * Transaction._byTimeKey()) is counted in, coarsest first.
+   */
+  _getSumsForEntry(account: Account, key: string): Array<Sum> {
+    let sums = [];
+    let parent = null;
+
+    for (let length of WindowLengths) {
+      if (!isPeriodWindow(length) && !(parent && parent.split)) {
+        break;
+      }
+      parent = this._getWindowSum(account, key.substr(0, length));
+      sums.push(parent);
+    }
+
+    return sums;
+  }
+
+  /**
+   * Splits the window with this prefix if it has too many entries.  All of its
+   * transactions need to be in memory for this, so they are loaded first.
+   */
+  _maybeSplitWindow(account: Account, prefix: string) {
+    let sum = this._getWindowSum(account, prefix);
+    let length = childWindowLength(prefix.length);
+
+    if (sum.split || sum.count <= MAX_WINDOW_ENTRIES || !length ||
+        isPeriodWindow(length) || this.splits.has(sum.key)) {
+      return;
+    }
+
+    let months = [];
+    if (prefix.length >= 7) {
+      months.push(monthOf(prefix));
+    } else {
+      for (let i = 0; i < 12; i++) {
+        months.push(addMonths(prefix + "-01", i));
+      }
+    }
+
+    let split = this._loadMonths(months, account).then(() => {
+      this.splits.delete(sum.key);
+      this._splitWindow(account, prefix, length);
+    }).then(null, (error) => {
+      this.splits.delete(sum.key);
+      console.log("Error splitting window: ", sum.key, error);
+    });
+
+    this.splits.set(sum.key, split);
+  }
+
+  /**
+   * Sums the entries of the window with this prefix into the windows inside
+   * it (with prefixes of the given length), and marks it as split.
+   */
+  _splitWindow(account: Account, prefix: string, length: number) {
+    let sum = this._getWindowSum(account, prefix);
+    let children = new Set();
+
+    if (sum.split) {
+      return;
+    }
+
+    this.atomic(() => {
+      // The finer windows start from scratch, in case they have stale sums
+      // from an earlier split (like one by another instance of the book,
+      // that was overwritten since).
+      let granularities = new Set(WindowLengths
+          .filter((l) => l > prefix.length).map(windowGranularity));
+      for (let granularity of granularities) {
+        let keyPrefix = account.data.guid + ";" + granularity + ";" + prefix;
+        // $FlowIssue: Doesn't recognize the iterator.
+        for (let [key, child] of this.sumsByKey.iterator(keyPrefix)) {
+          if (key.substr(0, keyPrefix.length) != keyPrefix) {
+            break;
+          } else if (key == keyPrefix) {
+            // The sum of this window itself.
+            continue;
+          }
+          child.amount = new Amount();
+          child.count = 0;
+          child.split = false;
+          child.dbUpdater.update();
+        }
+      }
+
+      let iter = account.entriesByTime.iterator(prefix);
+      // $FlowIssue: Doesn't recognize the iterator.
+      for (let [key, entry] of iter) {
+        if (key.substr(0, prefix.length) != prefix) {
+          break;
+        }
+        let childPrefix = key.substr(0, length);
+        this._getWindowSum(account, childPrefix).add(entry);
+        children.add(childPrefix);
+      }
+
+      sum.split = true;
+      sum.dbUpdater.update();
+      this.windowsVersion++;
+    });
+
+    for (let childPrefix of children) {
+      this._maybeSplitWindow(account, childPrefix);
+    }
+  }
+
+  /**
+   * Splits all windows that have too many entries but aren't split yet.  This
+   * is the case for windows of sums that were stored before windows could be
+   * split.
+   */
+  _splitOversizedWindows() {
+    // $FlowIssue: Doesn't recognize the iterator.
+    for (let [key, sum] of arrayFrom(this.sumsByKey.iterator())) {
+      // Keys are <account guid>;<granularity>;<prefix>.
+      let parts = key.split(";");
+      let account = this.accountsByGuid.get(parts[0]);
+      if (account) {
+        this._maybeSplitWindow(account, parts[2]);
+      }
+    }
   }
 
   /**
    * Given a startDate and endDate that are on day boundaries, returns an
-   * array of summing keys (in format "D;2015-05-05", for example) that cover
-   * this entire range.  Returns the smallest number of strings possible (by
-   * using the coarsest sums possible).
+   * array of IGetAmounts that together cover this entire range (see
+   * _getAmountReaders()).
    */
   _getAmountReadersForPeriod(account: Account,
                              startDate: Date,
@@ -1228,42 +3084,85 @@ export class DB {
           "on day boundaries.";
     }
 
+    return this._getAmountReaders(
+        account, toMapDate(startDate), toMapDate(endDate));
+  }
+
+  /**
+   * Returns an array of IGetAmounts that together cover all entries of the
+   * account with keys (see Transaction._byTimeKey()) in [startKey, endKey).
+   * Uses the coarsest windows possible, so that only a few sums (and at most
+   * a few short EntryLists) are needed for any range.
+   */
+  _getAmountReaders(account: Account, startKey: string,
+                    endKey: string): Array<IGetAmount> {
     let readers = [];
-    let date = new Date(startDate.getTime());
-
-    while (date < endDate) {
-      let i = 0;
-      let nextDate = DateLimits.MAX_DATE;
-
-      // Iterate over the periods from coarsest to finest, so that we create the
-      // shortest list of sum keys possible.
-      for (i = 0; i < SummingPeriod.periods2.length; i++) {
-        let period = SummingPeriod.periods2[i];
-        nextDate = period.dateNext(date);
-        if (period.onBoundary(date) && nextDate <= endDate) {
-          let sum = this._getSumByKey(account, period.getSumKey(date))
-          readers.push(sum.toIGetAmount());
-          date = nextDate;
-          break;
-        }
+    this._addWindowReaders(readers, account, null, "", startKey, endKey);
+    return readers;
+  }
+
+  /**
+   * Adds the IGetAmounts for the entries in [startKey, endKey) of the window
+   * with this prefix (whose sum is given, except for the window of all
+   * entries) to readers.
+   */
+  _addWindowReaders(readers: Array<IGetAmount>, account: Account, sum: ?Sum,
+                    prefix: string, startKey: string, endKey: string) {
+    // Entry keys are ASCII, so this is greater than any key in the window.
+    let windowEnd = prefix + "\uffff";
+
+    if (sum && startKey <= prefix && windowEnd <= endKey) {
+      readers.push(sum.toIGetAmount());
+      return;
+    }
+
+    let length = childWindowLength(prefix.length);
+    if (!length || (sum && !isPeriodWindow(length) && !sum.split)) {
+      // The entries of this window aren't summed in finer windows.
+      let list = new EntryList(account, {
+        startKey: startKey > prefix ? startKey : prefix,
+        endKey: endKey < windowEnd ? endKey : windowEnd,
+        minCount: null
+      });
+      readers.push(list.toIGetAmount());
+      return;
+    }
+
+    // Visit the sums of the child windows in [startKey, endKey).  Windows
+    // without a sum don't have any entries.
+    let keyPrefix = account.data.guid + ";" + windowGranularity(length) + ";";
+    let windowPrefix = keyPrefix + prefix;
+    let seek = keyPrefix + (startKey > prefix ? startKey.substr(0, length)
+                                              : prefix);
+
+    while (true) {
+      let next = this.sumsByKey.iterator(seek).next();
+      if (next.done) {
+        break;
       }
 
-      if (i == SummingPeriod.periods2.length) {
-        // No sum is available, need to create an EntryList for this time
-        // period.
-        let listEnd = (nextDate <= endDate) ? nextDate : endDate;
-        let list = new EntryList(account, {
-            startDate: date,
-            endDate: listEnd,
-            minCount: null
-        }).toIGetAmount()
-        readers.push(list);
-        date = listEnd;
+      let [key, child] = next.value;
+      if (key.substr(0, windowPrefix.length) != windowPrefix) {
+        break;
       }
 
-    }
+      let childPrefix = key.substr(keyPrefix.length, length);
+      if (childPrefix.length < length) {
+        // The sum of this window itself (finer windows share a granularity).
+        seek = key + "\u0000";
+        continue;
+      }
 
-    return readers;
+      if (childPrefix >= endKey) {
+        break;
+      }
+
+      this._addWindowReaders(readers, account, child, childPrefix, startKey,
+                             endKey);
+
+      // Skip over the windows inside this one.
+      seek = keyPrefix + childPrefix + "\uffff";
+    }
   }
 
   /**
@@ -1277,8 +3176,14 @@ export class DB {
   }
 }
 
+DB.backend = IndexedDBStorage;
+
 /** DbUpdater *****************************************************************/
 
+// Collections whose changes are recorded in the commit log.  Sums are derived
+// from transactions, so they are not logged.
+const LoggedCollections = new Set(["accounts", "transactions", "payees"]);
+
 const ObjectStates = {
   ADD_PENDING: 0,
   UPDATE_PENDING: 1,
@@ -1294,6 +3199,12 @@ class DbObject extends Observable {
 
   toModel(): Object { throw "Must override"; }
   getVersion(): number { return this.version; }
+
+  /**
+   * Returns a promise that settles once the latest change to this object has
+   * been written to storage (see DB.atomic()).
+   */
+  whenCommitted(): Promise<void> { return this.dbUpdater.committed; }
 }
 
 /**
@@ -1307,12 +3218,21 @@ class DbUpdater {
   state: number;
   key: string;
 
+  // The data as of the last commit (null if it isn't in the DB), for the
+  // "before" side of commit log entries.
+  committedData: ?Object;
+
+  // The promise for the batch that has the latest change to the object.
+  committed: Promise<void>;
+
   constructor(db, collection, obj, existsInDb) {
     this.db = db;
     this.collection = collection;
     this.obj = obj;
     this.obj.version = 0;
     this.state = existsInDb ? ObjectStates.COMMITTED : ObjectStates.ADD_PENDING;
+    this.committedData = existsInDb ? obj.toModel() : null;
+    this.committed = Promise.resolve();
 
     // This isn't used to actually perform the write, since the DB infers it.
     // But we use it to assert that update() calls don't change the key.
@@ -1324,20 +3244,23 @@ class DbUpdater {
   }
 
   /**
-   * Called by the DB when a transaction is being populated with updates.
-   * This object should add its updates to objectStore (which will be for the
-   * collection specified in this.collection).
+   * Called by the DB when a write batch is being populated with updates.
+   * This object should add its updates to the batch (in the collection
+   * specified in this.collection).
+   *
+   * Returns the change to record in the commit log, or null if this change
+   * should not be logged.
    */
-  _addToTransaction(objectStore, version) {
+  _addToBatch(batch: WriteBatch, version: number): ?Object {
     let data = this.obj.toModel();
-    if (data[objectStore.keyPath] != this.key) {
+    if (DB._getDbKey(data, this.collection) != this.key) {
       throw "Update should not change key.";
     }
 
     switch (this.state) {
       case ObjectStates.ADD_PENDING:
-        // Use put() to make sure the write fails if the key already exists.
-        objectStore.add(data);
+        // Use add() to make sure the write fails if the key already exists.
+        batch.add(this.collection, data);
         break;
       case ObjectStates.UPDATE_PENDING:
         // OPT: we could potentially avoid this write if we can somehow tell
@@ -1345,22 +3268,39 @@ class DbUpdater {
         // likely to be useful for sums, which could very likely have a value
         // subtracted and then added again, making the overall operation a
         // no-op.
-        objectStore.put(data);
+        batch.put(this.collection, data);
         break;
       case ObjectStates.DELETE_PENDING:
-        objectStore.delete(data[objectStore.keyPath]);
+        batch.delete(this.collection, this.key);
         break;
       default:
         throw "Unexpected state: " + this.state;
     }
 
+    let before = this.committedData;
+
     if (this.state == ObjectStates.DELETE_PENDING) {
       this.state = ObjectStates.DELETED;
+      this.committedData = null;
     } else {
       this.state = ObjectStates.COMMITTED;
+      this.committedData = data;
     }
 
     this.obj.version = version;
+
+    if (!LoggedCollections.has(this.collection) ||
+        (before == null && this.committedData == null)) {
+      // Not logged, or added and deleted again within the same batch.
+      return null;
+    }
+
+    return {
+      collection: this.collection,
+      key: this.key,
+      before: before,
+      after: this.committedData
+    };
   }
 
   checkOkToUpdate() {
@@ -1400,11 +3340,29 @@ class DbUpdater {
   delete() {
     this.checkOkToDelete();
 
-    if (this.state == ObjectStates.COMMITTED) {
+    let wasCommitted = this.state == ObjectStates.COMMITTED;
+
+    // Must set the state first, since _addDirty() can commit immediately.
+    this.state = ObjectStates.DELETE_PENDING;
+
+    if (wasCommitted) {
       this.db._addDirty(this, this.collection);
     }
+  }
 
-    this.state = ObjectStates.DELETE_PENDING;
+  /**
+   * Marks the object as matching what storage has for it, without writing it.
+   * Used when reverting changes (see DB._revert()).
+   */
+  _markCommitted() {
+    if (this.isDeleted()) {
+      this.state = ObjectStates.DELETED;
+      this.committedData = null;
+    } else {
+      this.state = ObjectStates.COMMITTED;
+      this.committedData = this.obj.toModel();
+    }
+    this.committed = Promise.resolve();
   }
 
   isDeleted() {
@@ -1439,6 +3397,14 @@ export class Account extends DbObject {
   parent: ?Account;
   children: SortedMap<string, Account>;
 
+  // The entries for this account (including the ones it gets from its
+  // descendants), keyed by Transaction._byTimeKey().
+  entriesByTime: SortedMap<string, Entry>;
+
+  // Months for which every transaction with an entry for this account itself
+  // has been loaded (see DB._loadMonths()).
+  loadedMonths: Set<string>;
+
   /**
    * Constructor is not public: clients should create new accounts with
    * db.createAccount().  This constructor is for use of the DB only.
@@ -1451,6 +3417,8 @@ export class Account extends DbObject {
     this.data = data;
     this.parent = null;
     this.children = new SortedMap();
+    this.entriesByTime = new SortedMap();
+    this.loadedMonths = new Set();
 
     if (!Account.isValid(data)) {
       throw "invalid account";
@@ -1475,6 +3443,11 @@ export class Account extends DbObject {
       if (this.parent.children.has(data.name)) {
         throw "account already exists with this name";
       }
+
+      if (!db.receiving && !db.reverting &&
+          Account._isOpenUnderClosed(data, this.parent)) {
+        throw "cannot add an open account to a closed one.";
+      }
     }
 
     Object.freeze(data);
@@ -1500,7 +3473,10 @@ export class Account extends DbObject {
   static isValid(accountData) {
     var ret = typeof accountData.name == "string" &&
         typeof accountData.type == "string" &&
-        typeof rootForType(accountData.type) == "string";
+        typeof rootForType(accountData.type) == "string" &&
+        (accountData.close_date == null ||
+         /^\d{4}-\d{2}-\d{2}$/.test(accountData.close_date)) &&
+        (!accountData.archived || accountData.close_date != null);
     if (!ret) {
       console.log("Invalid account: ", accountData);
     }
@@ -1508,89 +3484,362 @@ export class Account extends DbObject {
   }
 
   /**
-   * Updates an account with the given data.
+   * Returns true if an account with the given data would be open but its
+   * parent is closed, which the DB doesn't allow (see close()).
+   */
+  static _isOpenUnderClosed(data: Object, parent: Account): boolean {
+    return !data.close_date && !!parent.data.close_date;
+  }
+
+  /**
+   * Updates an account with the given data.  Returns a promise that settles
+   * once the change has been written to storage.
+   *
+   * Moving the account to a different parent moves the amounts of all of its
+   * transactions (and those of its descendants) from the old ancestors to the
+   * new ones.  That needs all of those transactions in memory, so it throws if
+   * some are not loaded yet (see moveTo()).
+   */
+  update(newData: Object): Promise<void> {
+    this.dbUpdater.checkOkToUpdate();
+
+    if (!Account.isValid(newData)) {
+      throw "invalid account";
+    }
+
+    if (this.data.guid == rootForType(this.data.type)) {
+      throw "Cannot update a root account.";
+    }
+
+    if (newData.guid) {
+      if (newData.guid != this.data.guid) {
+        throw "Cannot change account GUID.";
+      }
+    } else {
+      // Specifying GUID in new data is not necessary.
+      // TODO: should we extend this to all properties; ie. automatically merge
+      // and remove properties with {property: null}?
+      newData.guid = this.data.guid;
+    }
+
+    // Reparent the account.
+    var newParentGuid = newData.parent_guid || rootForType(newData.type);
+    var newParent = this.db.getAccountByGuid(newParentGuid);
+    var oldParent = this.parent;
+
+    if (!newParent) {
+      throw "parent account does not exist.";
+    }
+
+    if (oldParent !== newParent || this.data.name != newData.name) {
+      if (newParent.children.has(newData.name)) {
+        throw "account already exists with this name";
+      }
+
+      if (!oldParent) {
+        throw "cannot reparent root account.";
+      }
+
+      for (let acct = newParent; acct; acct = acct.parent) {
+        if (acct === this) {
+          throw "cannot move account into its own subtree.";
+        }
+      }
+    }
+
+    // Like close(), reopen() works from the top down.
+    if (!this.db.receiving && !this.db.reverting &&
+        Account._isOpenUnderClosed(newData, newParent)) {
+      throw "cannot reopen or move an account into a closed one.";
+    }
+
+    let txns = [];
+
+    if (oldParent !== newParent) {
+      // Batches from other instances of the book come with their sums, so
+      // we only need to move what we have in memory.
+      if (!this.db.receiving &&
+          this.db._allUnloadedMonths(this).length > 0) {
+        throw "cannot move account before its transactions are loaded.";
+      }
+
+      // Our entries include those of our descendants.
+      let seen = new Set();
+      // $FlowIssue: Doesn't recognize the iterator.
+      for (let [key, entry] of this.entriesByTime.iterator()) {
+        if (!seen.has(entry.txn)) {
+          seen.add(entry.txn);
+          txns.push(entry.txn);
+        }
+      }
+    }
+
+    // Validation complete, commit change.
+
+    Object.freeze(newData);
+
+    this.db.atomic(() => {
+      // The transactions' entries for the old ancestors are replaced by
+      // entries for the new ones, which moves their amounts between the sums
+      // of both.
+      for (let txn of txns) {
+        txn._subtractEntries(txn.data.date, txn._byTimeKey());
+      }
+
+      if (oldParent && (oldParent !== newParent ||
+                        this.data.name != newData.name)) {
+        oldParent.children.delete(this.data.name);
+        newParent.children.set(newData.name, this);
+
+        oldParent._notifySubscribers();
+        newParent._notifySubscribers();
+
+        this.parent = newParent;
+      }
+
+      this.data = newData;
+
+      for (let txn of txns) {
+        txn._createEntries(true);
+      }
+
+      this.dbUpdater.update();
+    });
+
+    return this.whenCommitted();
+  }
+
+  /**
+   * Moves this account (with its descendants) under the given parent, like
+   * update() does, but loads the transactions that this needs first.  Returns
+   * a promise that fails if the account can't be moved, and otherwise settles
+   * once the change has been written to storage.
+   */
+  moveTo(parent: Account): Promise<void> {
+    let months = this.db._allUnloadedMonths(this);
+    return this.db._loadMonths(months, this).then(() => {
+      // Either account may have changed while we were loading.
+      return this.update(merge(this.data, {parent_guid: parent.data.guid}));
+    });
+  }
+
+  /**
+   * Deletes an existing account.
+   * The account must not have any child accounts or any transactions that
+   * reference it.
+   * Returns a promise that settles once the change has been written to
+   * storage.
+   */
+  delete(): Promise<void> {
+    this.dbUpdater.checkOkToDelete();
+
+    // Batches from other instances of the book were checked there, and the
+    // sums that they change arrive after their objects.
+    let error = this.db.receiving ? null : this._deleteError();
+    if (error) {
+      throw error;
+    }
+
+    if (this.parent) {
+      let parent = this.parent;
+      parent.children.delete(this.data.name);
+      parent._notifySubscribers();
+      // TODO:
+      // Should we notify the account itself?
+      // Then any view that depends on it could just
+      // redirect somewhere else?
+    }
+
+    this.db.accountsByGuid.delete(this.data.guid);
+    this.dbUpdater.delete()
+    return this.whenCommitted();
+  }
+
+  /**
+   * Returns why this account can't be deleted, or null if it can.
    */
-  update(newData: Object) {
-    this.dbUpdater.checkOkToUpdate();
-
-    if (!Account.isValid(newData)) {
-      throw "invalid account";
-    }
-
+  _deleteError(): ?string {
     if (this.data.guid == rootForType(this.data.type)) {
-      throw "Cannot update a root account.";
+      return "cannot delete a root account.";
+    } else if (this.children.size > 0) {
+      return "cannot delete account with child accounts.";
+    } else if (this.entriesByTime.size > 0) {
+      return "cannot delete account with any transactions.";
     }
 
-    if (newData.guid) {
-      if (newData.guid != this.data.guid) {
-        throw "Cannot change account GUID.";
+    // Transactions that aren't loaded are still counted in the sums of their
+    // years (unless there are no sums at all, which only happens in tests).
+    let prefix = this.data.guid + ";Y;";
+    // $FlowIssue: Doesn't recognize the iterator.
+    for (let [key, sum] of this.db.sumsByKey.iterator(prefix)) {
+      if (key.substr(0, prefix.length) != prefix) {
+        break;
+      } else if (sum.count > 0) {
+        return "cannot delete account with any transactions.";
       }
-    } else {
-      // Specifying GUID in new data is not necessary.
-      // TODO: should we extend this to all properties; ie. automatically merge
-      // and remove properties with {property: null}?
-      newData.guid = this.data.guid;
     }
 
-    // Reparent the account.
-    var newParentGuid = newData.parent_guid || rootForType(newData.type);
-    var newParent = this.db.getAccountByGuid(newParentGuid);
-    var oldParent = this.parent;
+    return null;
+  }
 
-    if (!newParent) {
-      throw "parent account does not exist.";
+  /**
+   * Merges this account into the target account, for example to consolidate
+   * duplicate accounts after an import.  Every entry for this account is
+   * changed to be for the target, the child accounts move to the target (or
+   * are merged into its child of the same name), and this account is
+   * deleted, all in a single atomic batch.
+   *
+   * The transactions of this account and its descendants are loaded first.
+   * Returns a promise that settles once the batch has been written to
+   * storage.
+   */
+  mergeInto(target: Account): Promise<void> {
+    this._checkMergeInto(target);
+
+    let months = this.db._allUnloadedMonths(this);
+    return this.db._loadMonths(months, this).then(() => {
+      return this.db.atomic(() => this._mergeInto(target));
+    });
+  }
+
+  _checkMergeInto(target: Account) {
+    this.dbUpdater.checkOkToDelete();
+    target.dbUpdater.checkOkToUpdate();
+
+    if (this.data.guid == rootForType(this.data.type) ||
+        target.data.guid == rootForType(target.data.type)) {
+      throw "cannot merge root accounts.";
     }
 
-    if (oldParent !== newParent || this.data.name != newData.name) {
-      if (newParent.children.has(newData.name)) {
-        throw "account already exists with this name";
+    for (let acct = target; acct; acct = acct.parent) {
+      if (acct === this) {
+        throw "cannot merge account into itself or its subtree.";
       }
+    }
+  }
 
-      if (!oldParent) {
-        throw "cannot reparent root account.";
+  _mergeInto(target: Account) {
+    // Either account may have changed while we were loading.
+    this._checkMergeInto(target);
+
+    let guid = this.data.guid;
+
+    // Our entries include those of our descendants, which are merged or
+    // moved below.
+    let txns = new Set();
+    // $FlowIssue: Doesn't recognize the iterator.
+    for (let [key, entry] of this.entriesByTime.iterator()) {
+      if (entry.txn.data.entry.some((e) => e.account_guid == guid)) {
+        txns.add(entry.txn);
       }
+    }
 
-      oldParent.children.delete(this.data.name);
-      newParent.children.set(newData.name, this);
+    for (let txn of txns) {
+      let entries = txn.data.entry.map(function(entry) {
+        return entry.account_guid == guid ?
+            merge(entry, {account_guid: target.data.guid}) : entry;
+      });
+      txn.update(merge(txn.data, {entry: entries}));
+    }
 
-      oldParent._notifySubscribers();
-      newParent._notifySubscribers();
+    for (let [name, child] of arrayFrom(this.children.iterator())) {
+      let existing = target.children.get(name);
+      if (existing) {
+        child._mergeInto(existing);
+      } else {
+        child.update(merge(child.data, {parent_guid: target.data.guid}));
+      }
+    }
 
-      this.parent = newParent;
+    this.delete();
+  }
 
-      // TODO(haberman) update sums.
+  /**
+   * Closes the account as of the given date (YYYY-MM-DD), after which no
+   * transactions may have entries for it.  If archive is true, the account
+   * is also archived, which hides it from account lists by default.
+   *
+   * Only an account with a zero balance and no entries after the date can be
+   * closed, and its child accounts must be closed first.  Checking that may
+   * need transactions to load, so returns a promise that fails if the account
+   * can't be closed, and otherwise settles once the change has been written
+   * to storage.
+   */
+  close(date: string, archive: ?boolean): Promise<void> {
+    try {
+      this._closedData(date, archive);
+    } catch (e) {
+      return Promise.reject(e);
     }
 
-    Object.freeze(newData);
+    let balance = this.newBalanceReader({frequency: "FOREVER"});
+    let last = this.newEntryReader(
+        {endDate: toMapDate(DateLimits.MAX_DATE), count: 1});
+
+    return new Promise(function(resolve) {
+      Observable.whenLoaded([balance, last], resolve);
+    }).then(() => {
+      let isZero = balance.getPoints()[0].endBalance.isZero();
+      let entries = last.getEntries();
+      balance.close();
+      last.close();
+
+      if (entries.length > 0 && entries[0].entry.txn.data.date > date) {
+        throw "cannot close account with entries after the close date.";
+      } else if (!isZero) {
+        throw "cannot close account with a nonzero balance.";
+      }
 
-    this.data = newData;
-    this.dbUpdater.update();
+      // The account may have changed while we were loading.
+      return this.update(this._closedData(date, archive));
+    });
   }
 
   /**
-   * Deletes an existing account.
-   * The account must not have any transactions that reference it.
+   * Returns the data for this account closed as of the given date, or throws
+   * if it can't be closed regardless of its entries.
    */
-  delete() {
-    this.dbUpdater.checkOkToDelete();
+  _closedData(date: string, archive: ?boolean): Object {
+    this.dbUpdater.checkOkToUpdate();
 
-    // TODO: What is the right way to test this?
-    //if (this.last) {
-    //  throw "cannot delete account with any transactions";
-    //}
+    let data = merge(this.data, {close_date: date});
+    if (archive) {
+      data.archived = true;
+    }
 
-    if (this.parent) {
-      let parent = this.parent;
-      parent.children.delete(this.data.name);
-      parent._notifySubscribers();
-      // TODO:
-      // Should we notify the account itself?
-      // Then any view that depends on it could just
-      // redirect somewhere else?
+    if (!Account.isValid(data)) {
+      throw "invalid close date: " + date;
     }
 
-    this.db.accountsByGuid.delete(this.data.guid);
-    this.dbUpdater.delete()
+    // $FlowIssue: Doesn't recognize the iterator.
+    for (let [name, child] of this.children.iterator()) {
+      if (!child.data.close_date) {
+        throw "cannot close account before its child accounts.";
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Reopens a closed (and maybe archived) account.  Returns a promise that
+   * settles once the change has been written to storage.
+   */
+  reopen(): Promise<void> {
+    let data = merge(this.data, {});
+    delete data.close_date;
+    delete data.archived;
+    return this.update(data);
+  }
+
+  /**
+   * Returns true if this account normally has a credit balance, which the DB
+   * stores as a negative amount: liabilities, income and equity.  Reports
+   * should show these balances negated, so that they are usually positive.
+   */
+  isCreditNormal(): boolean {
+    let type = this.data.type;
+    return type == "LIABILITY" || type == "INCOME" || type == "EQUITY";
   }
 
   /**
@@ -1631,7 +3880,6 @@ class Entry {
   account: Account;
   data: Object;
   amount: Amount;
-  sums: Array<Sum>;
 
   /**
    * Constructor is not public: clients can create Transaction objects (with
@@ -1647,9 +3895,6 @@ class Entry {
     this.account = account;
     this.data = data;
     this.amount = new Amount();
-    this.sums = SummingPeriod.periods2.map(
-      (p) => txn.db._getSum(account, txn.date, p)
-    );
   }
 
   /**
@@ -1670,16 +3915,29 @@ class Entry {
    * Adds our amount to our sums.
    */
   _addToSums() {
-    for (let sum of this.sums) { sum.add(this); }
-    this.txn.db._invalidateEntryLists(this.account, this.txn.data.date);
+    let db = this.txn.db;
+    let key = this.txn._byTimeKey();
+    let sums = db._getSumsForEntry(this.account, key);
+
+    for (let sum of sums) { sum.add(this); }
+    db._invalidateEntryLists(this.account, this.txn.data.date);
+
+    if (sums.length > 0) {
+      db._maybeSplitWindow(this.account,
+                           key.substr(0, WindowLengths[sums.length - 1]));
+    }
   }
 
   /**
-   * Subtracts our amount from our sums.
+   * Subtracts our amount from our sums.  Takes the date and key that the
+   * transaction had when the amount was added.
    */
-  _subtractFromSums(dateStr: string) {
-    for (let sum of this.sums) { sum.sub(this); }
-    this.txn.db._invalidateEntryLists(this.account, dateStr);
+  _subtractFromSums(dateStr: string, byTimeKey: string) {
+    let db = this.txn.db;
+    for (let sum of db._getSumsForEntry(this.account, byTimeKey)) {
+      sum.sub(this);
+    }
+    db._invalidateEntryLists(this.account, dateStr);
   }
 
   /**
@@ -1722,10 +3980,18 @@ export class Transaction extends DbObject {
     this.data = txnData;
     this.date = DB.parseDate(txnData.date);
 
-    if (!this.db.transactionIsValid(txnData)) {
+    // Transactions in storage may have entries after the close date of an
+    // account, if they were written elsewhere before it was closed.
+    if (existsInDb ? this.db._transactionError(txnData) :
+                     !this.db.transactionIsValid(txnData)) {
       throw "invalid transaction";
     }
 
+    let lockError = existsInDb ? null : this.db._periodLockError(null, txnData);
+    if (lockError) {
+      throw lockError;
+    }
+
     if (txnData.guid) {
       if (this.db.transactionsByGuid.get(txnData.guid)) {
         throw "Tried to duplicate existing transaction.";
@@ -1737,6 +4003,9 @@ export class Transaction extends DbObject {
     Object.freeze(txnData);
 
     this.db.transactionsByGuid.set(txnData.guid, this);
+    if (txnData.period_close) {
+      this.db.periodCloses.set(txnData.guid, txnData.date);
+    }
     this.db.transactionsByTime.add(this._byTimeKey(), this);
 
     this.db.atomic(() => {
@@ -1801,6 +4070,10 @@ export class Transaction extends DbObject {
 
     }
 
+    for (let entry of this.entries.values()) {
+      entry.account.entriesByTime.add(this._byTimeKey(), entry);
+    }
+
     if (add) {
       for (let entry of this.entries.values()) {
         entry._addToSums();
@@ -1808,9 +4081,10 @@ export class Transaction extends DbObject {
     }
   }
 
-  _subtractEntries(oldDate: string) {
+  _subtractEntries(oldDate: string, oldByTimeKey: string) {
     for (let entry of this.entries.values()) {
-      entry._subtractFromSums(oldDate);
+      entry.account.entriesByTime.delete(oldByTimeKey);
+      entry._subtractFromSums(oldDate, oldByTimeKey);
     }
   }
 
@@ -1837,99 +4111,324 @@ export class Transaction extends DbObject {
       if (typeof entry.account_guid != "string" ||
           entry.account_guid == "REAL_ROOT" ||
           entry.account_guid == "NOMINAL_ROOT" ||
-          !Amount.isValid(entry.amount)) {
+          entry.account_guid == "EQUITY_ROOT" ||
+          !Amount.isValid(entry.amount) ||
+          !Transaction._tagsAreValid(entry.tag) ||
+          !Transaction._metadataIsValid(entry.metadata)) {
         return false;
       }
     }
 
+    if (txnData.payee_guid != null && typeof txnData.payee_guid != "string") {
+      return false;
+    }
+
+    return Transaction._tagsAreValid(txnData.tag) &&
+        Transaction._metadataIsValid(txnData.metadata);
+  }
+
+  static _tagsAreValid(tags: any): boolean {
+    if (tags == null) {
+      return true;
+    } else if (!isArray(tags)) {
+      return false;
+    }
+
+    return tags.every((tag, i) => typeof tag == "string" &&
+                                  /^[^\s:]+$/.test(tag) &&
+                                  tags.indexOf(tag) == i);
+  }
+
+  static _metadataIsValid(metadata: any): boolean {
+    if (metadata == null) {
+      return true;
+    } else if (typeof metadata != "object" || isArray(metadata)) {
+      return false;
+    }
+
+    return Object.keys(metadata).every(
+        (key) => key != "" && typeof metadata[key] == "string");
+  }
+
+  /**
+   * Returns true if the transaction has this tag.  If an entry is given, the
+   * entry's own tags count as well.
+   *
+   * @param entry The data of one of our entries (as in model.proto).
+   */
+  hasTag(tag: string, entry: ?Object): boolean {
+    let tags = (this.data.tag || []).concat(entry && entry.tag || []);
+    return tags.indexOf(tag) != -1;
+  }
+
+  /**
+   * Returns the metadata value for this key, or undefined if there is none.
+   * If an entry is given, its own metadata take precedence.
+   *
+   * @param entry The data of one of our entries (as in model.proto).
+   */
+  getMetadata(key: string, entry: ?Object): ?string {
+    let sources = [entry && entry.metadata, this.data.metadata];
+    for (let metadata of sources) {
+      if (metadata && Object.prototype.hasOwnProperty.call(metadata, key)) {
+        return metadata[key];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Returns the payee of this transaction, or null if it has none (or its
+   * payee was deleted).
+   */
+  getPayee(): ?Payee {
+    let guid = this.data.payee_guid;
+    return guid ? this.db.getPayeeByGuid(guid) || null : null;
+  }
+
+  /**
+   * Returns the entry for the given account in this transaction, or null
+   * if there is no entry for this account.
+   *
+   * TODO(haberman): will need to add a date parameter if/when transactions
+   * can have multiple entries for the same account, but on different days.
+   */
+  getEntry(account: Account): Entry {
+    return this.entries.get(account);
+  }
+
+  /**
+   * Returns the date of this transaction.
+   *
+   * TODO(haberman): will need to add a date parameter if/when transactions
+   * can have multiple entries for the same account, but on different days.
+   */
+  getDate(): Date {
+    return this.date;
+  }
+
+  /**
+   * Updates an existing transaction.  Transaction guid must be set, and the
+   * transaction must be valid.  This will completely overwrite the previous
+   * value of this transaction.  Returns a promise that settles once the change
+   * has been written to storage.
+   */
+  update(newData: Object): Promise<void> {
+    this.dbUpdater.checkOkToUpdate();
+
+    if (!this.db.transactionIsValid(newData)) {
+      throw "invalid transaction";
+    }
+
+    let lockError = this.db._periodLockError(this.data, newData);
+    if (lockError) {
+      throw lockError;
+    }
+
+    if (newData.guid) {
+      if (newData.guid != this.data.guid) {
+        throw "Cannot change transaction GUID.";
+      }
+    } else {
+      // Specifying GUID in new data is not necessary.
+      // TODO: should we extend this to all properties; ie. automatically merge
+      // and remove properties with {property: null}?
+      newData.guid = this.data.guid;
+    }
+
+    let oldDate = this.data.date;
+    let oldByTimeKey = this._byTimeKey();
+
+    // Validation complete, commit change.
+
+    Object.freeze(newData);
+    this.data = newData;
+
+    this.db.periodCloses.delete(newData.guid);
+    if (newData.period_close) {
+      this.db.periodCloses.set(newData.guid, newData.date);
+    }
+
+    return this.db.atomic(() => {
+      if (oldDate != newData.date) {
+        this.db.transactionsByTime.delete(oldByTimeKey);
+        this.db.transactionsByTime.add(this._byTimeKey(), this);
+      }
+
+      this._subtractEntries(oldDate, oldByTimeKey);
+      this._createEntries(true);
+      this.dbUpdater.update();
+    });
+  }
+
+  /**
+   * Deletes this transaction.  Returns a promise that settles once the change
+   * has been written to storage.
+   */
+  delete(): Promise<void> {
+    this.dbUpdater.checkOkToDelete();
+
+    let lockError = this.db._periodLockError(this.data, null);
+    if (lockError) {
+      throw lockError;
+    }
+
+    this.db.transactionsByTime.delete(this._byTimeKey());
+    this.db.transactionsByGuid.delete(this.data.guid);
+    this.db.periodCloses.delete(this.data.guid);
+
+    if (this.db.pendingLoads > 0) {
+      // A load that is in progress may still have the old data.
+      this.db.deletedDuringLoad.add(this.data.guid);
+    }
+
+    return this.db.atomic(() => {
+      this._subtractEntries(this.data.date, this._byTimeKey());
+      this.dbUpdater.delete();
+    });
+  }
+
+  /**
+   * Internal only method to calculate the key for this transaction in the
+   * sorted map.
+   */
+  _byTimeKey(): string {
+    return this.data.date + this.data.guid;
+  }
+}
+
+/** Payee *********************************************************************/
+
+/**
+ * Class for representing a payee: a merchant or other party that transactions
+ * are with, under one canonical name like "Amazon".  Banks describe the same
+ * payee in many ways ("AMZN MKTP US*2K3", "Amazon.com"), so a payee has alias
+ * patterns that DB.matchPayee() finds it by.
+ *
+ * These properties are provided, all of which are read-only:
+ * - db: link back to the database
+ * - data: the raw data for this Payee (as in model.proto)
+ *
+ * Transactions refer to payees by guid.  Deleting a payee doesn't change them,
+ * they just have no payee anymore (see Transaction.getPayee()).
+ */
+export class Payee extends DbObject {
+  db: DB;
+  data: Object;
+  aliases: Array<RegExp>;
+
+  /**
+   * Constructor is not public: clients should create new payees with
+   * db.createPayee().  This constructor is for use of the DB only.
+   * @private
+   */
+  constructor(db: DB, data: Object, existsInDb: ?boolean) {
+    super();
+
+    this.db = db;
+
+    if (!Payee.isValid(data)) {
+      throw "invalid payee";
+    }
+
+    if (data.guid) {
+      if (this.db.getPayeeByGuid(data.guid)) {
+        throw "Tried to duplicate existing payee";
+      }
+    } else {
+      data.guid = guid();
+    }
+
+    this._checkName(data.name);
+
+    Object.freeze(data);
+    this.data = data;
+    this.aliases = Payee._aliases(data);
+    this.db.payeesByGuid.set(data.guid, this);
+    this.dbUpdater = new DbUpdater(db, "payees", this, existsInDb);
+  }
+
+  toModel(): Object { return this.data; }
+
+  /**
+   * Returns true if the given payee data is valid: it has a name, and its
+   * aliases are valid regular expressions.
+   */
+  static isValid(payeeData: Object): boolean {
+    if (typeof payeeData.name != "string" || payeeData.name.trim() == "") {
+      return false;
+    } else if (payeeData.alias == null) {
+      return true;
+    } else if (!isArray(payeeData.alias)) {
+      return false;
+    }
+
+    try {
+      Payee._aliases(payeeData);
+    } catch (e) {
+      return false;
+    }
     return true;
   }
 
-  /**
-   * Returns the entry for the given account in this transaction, or null
-   * if there is no entry for this account.
-   *
-   * TODO(haberman): will need to add a date parameter if/when transactions
-   * can have multiple entries for the same account, but on different days.
-   */
-  getEntry(account: Account): Entry {
-    return this.entries.get(account);
+  static _aliases(payeeData: Object): Array<RegExp> {
+    return (payeeData.alias || []).map(function(alias) {
+      if (typeof alias != "string" || alias == "") {
+        throw "invalid alias";
+      }
+      return new RegExp(alias, "i");
+    });
+  }
+
+  _checkName(name: string) {
+    let payee = this.db._payeeWithName(name);
+    if (payee && payee !== this) {
+      throw "payee already exists with this name";
+    }
   }
 
-  /**
-   * Returns the date of this transaction.
-   *
-   * TODO(haberman): will need to add a date parameter if/when transactions
-   * can have multiple entries for the same account, but on different days.
-   */
-  getDate(): Date {
-    return this.date;
+  _aliasMatches(description: string): boolean {
+    return this.aliases.some((alias) => alias.test(description));
   }
 
   /**
-   * Updates an existing transaction.  Transaction guid must be set, and the
-   * transaction must be valid.  This will completely overwrite the previous
-   * value of this transaction.
+   * Updates the payee with the given data, which replaces its old data.
+   * Returns a promise that settles once the change has been written to
+   * storage.
    */
-  update(newData: Object) {
+  update(newData: Object): Promise<void> {
     this.dbUpdater.checkOkToUpdate();
 
-    if (!this.db.transactionIsValid(newData)) {
-      throw "invalid transaction";
+    if (!Payee.isValid(newData)) {
+      throw "invalid payee";
     }
 
     if (newData.guid) {
       if (newData.guid != this.data.guid) {
-        throw "Cannot change transaction GUID.";
+        throw "Cannot change payee GUID.";
       }
     } else {
-      // Specifying GUID in new data is not necessary.
-      // TODO: should we extend this to all properties; ie. automatically merge
-      // and remove properties with {property: null}?
       newData.guid = this.data.guid;
     }
 
-    let oldDate = this.data.date;
-    let oldByTimeKey = this._byTimeKey();
-
-    // Validation complete, commit change.
+    this._checkName(newData.name);
 
     Object.freeze(newData);
     this.data = newData;
-
-    this.db.atomic(() => {
-      if (oldDate != newData.date) {
-        this.db.transactionsByTime.delete(oldByTimeKey);
-        this.db.transactionsByTime.add(this._byTimeKey(), this);
-      }
-
-      this._subtractEntries(oldDate);
-      this._createEntries(true);
-      this.dbUpdater.update();
-    });
+    this.aliases = Payee._aliases(newData);
+    this.dbUpdater.update();
+    return this.whenCommitted();
   }
 
   /**
-   * Deletes this transaction.
+   * Deletes the payee.  Returns a promise that settles once the change has
+   * been written to storage.
    */
-  delete() {
+  delete(): Promise<void> {
     this.dbUpdater.checkOkToDelete();
-
-    this.db.transactionsByTime.delete(this._byTimeKey());
-    this.db.transactionsByGuid.delete(this.data.guid);
-
-    this.db.atomic(() => {
-      this._subtractEntries(this.data.date);
-      this.dbUpdater.delete();
-    });
-  }
-
-  /**
-   * Internal only method to calculate the key for this transaction in the
-   * sorted map.
-   */
-  _byTimeKey(): string {
-    return this.data.date + this.data.guid;
+    this.db.payeesByGuid.delete(this.data.guid);
+    this.dbUpdater.delete();
+    return this.whenCommitted();
   }
 }
 
@@ -1947,6 +4446,10 @@ class Sum extends DbObject {
   amount: Amount;
   count: number;
 
+  // Whether the entries of this window are also summed in finer windows (see
+  // MAX_WINDOW_ENTRIES).
+  split: boolean;
+
   // Implements the interface IGetAmount.
   toIGetAmount(): IGetAmount {
     return ((this: any): IGetAmount);
@@ -1964,9 +4467,11 @@ class Sum extends DbObject {
       }
       this.amount = new Amount(data.amount);
       this.count = data.count;
+      this.split = !!data.split;
     } else {
       this.amount = new Amount();
       this.count = 0;
+      this.split = false;
     }
 
     // Since a new sum always starts at 0, which doesn't require an explicit
@@ -1996,25 +4501,47 @@ class Sum extends DbObject {
   }
 
   toModel() {
-    return {
+    let ret: Object = {
       key: this.key,
       count: this.count,
       amount: this.amount.toModel()
     };
+    if (this.split) {
+      ret.split = true;
+    }
+    return ret;
   }
 }
 
 /** EntryList *****************************************************************/
 
+/**
+ * Closes the EntryLists among these IGetAmounts, once a reader doesn't use
+ * them anymore.
+ */
+function closeEntryLists(amounts: Array<IGetAmount>) {
+  for (let amount of amounts) {
+    if (amount instanceof EntryList) {
+      amount.close();
+    }
+  }
+}
+
 class EntryListOptions {
-  // Users must specify two of three of these options.
+  // Users must specify two of three of these: minCount, a start and an end.
   //
-  // When specifying an endDate and minCount, the actual count will be
-  // increased so that all entries for the first day are included in the list.
+  // The start and end can be given either as dates or as keys into
+  // account.entriesByTime (see Transaction._byTimeKey()); keys allow a list
+  // to start or end in the middle of a day.  The end is exclusive.
+  //
+  // When specifying an end and minCount, the list holds the minCount entries
+  // immediately before the end.
 
   minCount: ?number;
   startDate: ?Date;
   endDate: ?Date;
+  startKey: ?string;
+  endKey: ?string;
 }
 
 /**
@@ -2034,22 +4561,36 @@ class EntryList {
   amount: ?Amount;
   version: number;
 
+  // False if some of the entries may be missing because their transactions
+  // are still being loaded (by this.loading).
+  complete: boolean;
+  loading: ?Promise<void>;
+
   options: EntryListOptions;
 
+  // Bounds of the list in account.entriesByTime, if given.
+  startKey: ?string;
+  endKey: ?string;
+
   constructor(account: Account, options: EntryListOptions) {
     this.db = account.db;
     this.account = account;
     this.options = options;
     this.version = 0;
 
+    this.startKey = options.startKey ||
+        (options.startDate ? toMapDate(options.startDate) : null);
+    this.endKey = options.endKey ||
+        (options.endDate ? toMapDate(options.endDate) : null);
+
     let has = 0;
 
     if (options.minCount) { has++; }
-    if (options.startDate) { has++; }
-    if (options.endDate) { has++; }
+    if (this.startKey) { has++; }
+    if (this.endKey) { has++; }
 
     if (has != 2) {
-      throw "Must specify 2 of: minCount, startDate, endDate";
+      throw "Must specify 2 of: minCount, start, end";
     }
 
     this._refresh();
@@ -2083,6 +4624,10 @@ class EntryList {
 
   getVersion() { return this.version; }
 
+  isLoaded() { return this.complete; }
+
+  _loading() { return this.loading; }
+
   /**
    * Returns the list of entries for these criteria.
    * Entries are returned in ascending date order.
@@ -2094,78 +4639,109 @@ class EntryList {
   _refresh() {
     this.entries = []
     this.amount = null;
-    let options = this.options;
-
-    if (options.startDate) {
-      // All cases except [endDate, count].
+    let minCount = this.options.minCount;
+    let startKey = this.startKey;
+    let endKey = this.endKey;
+
+    // Whether we saw all transactions that could be in the list.  If some of
+    // them aren't loaded yet, we request them and are refreshed again (like
+    // for any other change) when they arrive.
+    let complete;
+    let needMonths = [];
+
+    if (startKey) {
+      // All cases except [end, count].
       // Iterate forwards, adding entries until we hit our stop criterion.
-      //
-      let iter =
-          this.db.transactionsByTime.iterator(toMapDate(options.startDate));
+      let startMonth = monthOf(startKey);
+      let endMonth = endKey ? monthOf(endKey) : null;
+      let unloaded = this.db._firstUnloadedMonth(
+          startMonth, endMonth, true, this.account);
+      complete = !unloaded;
+
+      let iter = this.account.entriesByTime.iterator(startKey);
       // $FlowIssue: Doesn't recognize the iterator.
-      for (let [key, txn] of iter) {
-        let entry = txn.getEntry(this.account);
+      for (let [key, entry] of iter) {
+        if (minCount && minCount == this.entries.length) {
+          complete = true;
+          break;
+        }
 
-        if (entry == null) {
-          // TODO: should base date-based termination on key so that we can
-          // potentially break even without an entry.
-          continue;
+        if (unloaded && entry.txn.data.date >= unloaded) {
+          // The entries from here on may be incomplete.
+          complete = false;
+          break;
         }
 
-        if ((options.endDate && entry.getDate() >= options.endDate) ||
-            (options.minCount && options.minCount == this.entries.length)) {
+        if (endKey && key >= endKey) {
+          complete = true;
           break;
         }
 
         this.entries.push(entry);
       }
+
+      if (minCount && minCount == this.entries.length) {
+        complete = true;
+      }
+
+      if (!complete && unloaded) {
+        needMonths = endMonth ?
+            this.db._unloadedMonths(unloaded, endMonth, this.account) :
+            [unloaded];
+      }
     } else {
-      // The case of [endDate, count].
+      // The case of [end, count].
       // Iterate backwards, adding entries until we hit our minCount.
-      if (!options.endDate) {
+      if (!endKey || !minCount) {
         throw "Shoulnd't happen."
       }
 
-      let firstDate = null;
+      let unloaded = this.db._firstUnloadedMonth(
+          monthOf(endKey), null, false, this.account);
+      complete = !unloaded;
 
-      let iter =
-          this.db.transactionsByTime.riterator(toMapDate(options.endDate));
+      let iter = this.account.entriesByTime.riterator(endKey);
       // $FlowIssue: Doesn't recognize the iterator.
-      for (let [key, txn] of iter) {
-        let entry = txn.getEntry(this.account);
-
-        if (entry == null) {
-          // TODO: should base date-based termination on key so that we can
-          // potentially break even without an entry.
-          continue;
+      for (let [key, entry] of iter) {
+        if (minCount == this.entries.length) {
+          // Anything that isn't loaded yet comes before these entries.
+          complete = true;
+          break;
         }
 
-        if (firstDate && entry.getDate() < firstDate) {
+        if (unloaded && monthOf(entry.txn.data.date) <= unloaded) {
+          // We need the earlier entries first.
+          complete = false;
           break;
         }
 
         this.entries.push(entry);
-
-        if (options.minCount == this.entries.length) {
-          // We don't stop iteration until we have all of the entries for this
-          // day.  This is important for computing overall balances.
-          firstDate = entry.getDate();
-        }
       }
       this.entries.reverse();
+
+      if (minCount == this.entries.length) {
+        complete = true;
+      } else if (!complete && unloaded) {
+        needMonths = [unloaded];
+      }
     }
 
+    this.complete = complete;
+    this.loading =
+        complete ? null : this.db._loadMonths(needMonths, this.account);
+
     this.db.entryLists.delete(this);
 
-    let firstDate = options.startDate;
-    let lastDate = options.endDate;
+    // Entry lists are registered (and invalidated) by day.
+    let firstDate = startKey ? startKey.substr(0, 10) : null;
+    let lastDate = endKey ? endKey.substr(0, 10) : null;
 
     if (!firstDate || !lastDate) {
-      // We must have options.minCount.
-      if (!options.minCount) { throw "impossible"; }
-      if (this.entries.length < options.minCount) {
-        if (!firstDate) { firstDate = DateLimits.MIN_DATE; }
-        if (!lastDate) { lastDate = DateLimits.MAX_DATE; }
+      // We must have minCount.
+      if (!minCount) { throw "impossible"; }
+      if (this.entries.length < minCount) {
+        if (!firstDate) { firstDate = toMapDate(DateLimits.MIN_DATE); }
+        if (!lastDate) { lastDate = toMapDate(DateLimits.MAX_DATE); }
       } else {
         if (!firstDate) { firstDate = this.entries[0].txn.data.date; }
         if (!lastDate) {
@@ -2175,12 +4751,10 @@ class EntryList {
       }
     }
 
-    if (!firstDate || !lastDate) { throw "impossible"; }
-    this.db.entryLists.add(toMapDate(firstDate), toMapDate(lastDate), this);
+    this.db.entryLists.add(firstDate, lastDate, this);
   }
 }
 
-
 /** BalanceReader *************************************************************/
 
 const Periods = new Set(["DAY", "WEEK", "MONTH", "QUARTER", "YEAR", "FOREVER"]);
@@ -2193,21 +4767,38 @@ export const DateLimits = {
 };
 
 class Reader extends Observable {
-  account: Account;
   db: DB;
 
-  constructor(account: Account) {
+  constructor(db: DB) {
     super();
 
-    this.db = account.db;
+    this.db = db;
     this.db.readers.add(this);
-    this.account = account;
   }
 
   _refresh() {}
 
+  /**
+   * Returns the sums and EntryLists that this reader is computed from.
+   */
+  _amounts(): Array<IGetAmount> { return []; }
+
+  isLoaded(): boolean {
+    return this._amounts().every((amount) => amount.isLoaded());
+  }
+
+  _loading(): ?Promise<void> {
+    let loads = [];
+    for (let amount of this._amounts()) {
+      let loading = amount.isLoaded() ? null : amount._loading();
+      if (loading) { loads.push(loading); }
+    }
+    return loads.length ? Promise.all(loads).then(() => {}) : null;
+  }
+
   close() {
     this.db.readers.delete(this);
+    closeEntryLists(this._amounts());
   }
 }
 
@@ -2215,6 +4806,8 @@ class Reader extends Observable {
 class IGetAmount {
   getAmount(): Amount { throw "Must override in a derived class."; }
   getVersion(): number { throw "Must override in a derived class."; }
+  isLoaded(): boolean { throw "Must override in a derived class."; }
+  _loading(): ?Promise<void> { throw "Must override in a derived class."; }
 }
 
 /**
@@ -2261,14 +4854,18 @@ class BalanceReaderPeriod {
 }
 
 class BalanceReader extends Reader {
-  db: DB;
+  account: Account;
   periods: Array<BalanceReaderPeriod>;
   points: Array<BalanceReaderPoint>;
   initialSums: Array<IGetAmount>;
   version: number;
 
+  // The DB's windowsVersion when our IGetAmounts were picked.
+  windowsVersion: number;
+
   constructor(account, options) {
-    super(account);
+    super(account.db);
+    this.account = account;
 
     if (!Periods.has(options.frequency)) {
       throw "Unknown frequency: " + options.frequency;
@@ -2355,18 +4952,30 @@ class BalanceReader extends Reader {
       }
     }
 
+    this._getAmountReaders();
+    this._refresh();
+  }
+
+  _getAmountReaders() {
+    this.windowsVersion = this.db.windowsVersion;
+
     for (let period of this.periods) {
       period.amounts = this.db._getAmountReadersForPeriod(
-          account, period.startDate, period.endDate);
+          this.account, period.startDate, period.endDate);
     }
 
     this.initialSums = this.db._getAmountReadersForPeriod(
-        account, DateLimits.MIN_DATE, this.periods[0].startDate);
-
-    this._refresh();
+        this.account, DateLimits.MIN_DATE, this.periods[0].startDate);
   }
 
   _refresh() {
+    if (this.windowsVersion != this.db.windowsVersion) {
+      // There may be new sums that we should read.
+      let old = this._amounts();
+      this._getAmountReaders();
+      closeEntryLists(old);
+    }
+
     // Re-compute the pre-computed sums.
     var maxVersion = 0;
 
@@ -2405,6 +5014,14 @@ class BalanceReader extends Reader {
     }
   }
 
+  _amounts(): Array<IGetAmount> {
+    let ret = this.initialSums.slice();
+    for (let period of this.periods) {
+      ret.push(...period.amounts);
+    }
+    return ret;
+  }
+
   getPoints(): Array<BalanceReaderPoint> {
     return this.points;
   }
@@ -2440,16 +5057,19 @@ class EntryReaderOptions {
 }
 
 class EntryReader extends Reader {
+  account: Account;
   initialSums: Array<IGetAmount>;
   list: EntryList;
   entries: Array<EntryReaderEntry>;
+  version: number;
 
   startSkip: ?number;
   endSkip: ?number;
   count: ?number;
 
   constructor(account, options: EntryReaderOptions) {
-    super(account);
+    super(account.db);
+    this.account = account;
 
     let listOptions = new EntryListOptions();
 
@@ -2487,6 +5107,8 @@ class EntryReader extends Reader {
       throw "Must provide two of: startDate, endDate, count";
     }
 
+    this.version = 0;
+    this.initialSums = [];
     this.list = new EntryList(account, listOptions);
     this._refresh();
   }
@@ -2494,19 +5116,24 @@ class EntryReader extends Reader {
   _refresh() {
     let entryListEntries = this.list.getEntries();
     this.entries = [];
+    closeEntryLists(this.initialSums);
+    this.initialSums = [];
 
     if (entryListEntries.length == 0) {
+      this._notifyIfChanged();
       return;
     }
 
-    // Can't memoize this to the constructor because the date of our first entry
-    // (and thus the date range of the initial sums) can change.
-    let initialSums = this.db._getAmountReadersForPeriod(
-        this.account, DateLimits.MIN_DATE, entryListEntries[0].getDate());
+    // Can't memoize this to the constructor because our first entry (and thus
+    // the range of the initial sums) can change.  The range ends right before
+    // the first entry, which may be in the middle of a day.
+    this.initialSums = this.db._getAmountReaders(
+        this.account, toMapDate(DateLimits.MIN_DATE),
+        entryListEntries[0].txn._byTimeKey());
 
     let balance = new Amount();
 
-    for (let sum of initialSums) {
+    for (let sum of this.initialSums) {
       balance.add(sum.getAmount());
     }
 
@@ -2523,22 +5150,297 @@ class EntryReader extends Reader {
       this.entries.splice(0, this.startSkip);
     }
 
-    if (this.count != null) {
-      let excess = this.entries.length - this.count;
+    if (this.count != null && this.entries.length > this.count) {
+      throw "Unexpected: reader with count had extra elems.";
+    }
 
-      if (excess > 0) {
-        if (this.startSkip != null) {
-          throw "Unexpected: reader with startSkip / count had extra elems.";
-        } else {
-          // This is expected in the case that the EntryList returned extra
-          // entries at the beginning to give us the complete day's worth.
-          this.entries.splice(0, excess);
-        }
-      }
+    this._notifyIfChanged();
+  }
+
+  _notifyIfChanged() {
+    let maxVersion = this.list.getVersion();
+    for (let sum of this.initialSums) {
+      maxVersion = Math.max(maxVersion, sum.getVersion());
+    }
+
+    if (maxVersion > this.version) {
+      this._notifySubscribers();
+      this.version = maxVersion;
     }
   }
 
+  _amounts(): Array<IGetAmount> {
+    return [this.list.toIGetAmount()].concat(this.initialSums);
+  }
+
   getEntries(): Array<EntryReaderEntry> {
     return this.entries;
   }
 }
+
+/** TransactionQuery **********************************************************/
+
+class TransactionQueryOptions {
+  // All of these are optional; a transaction must match all that are given.
+
+  // Case-insensitive text that the description of the transaction (or of one
+  // of its entries) must contain.
+  text: ?string;
+
+  // Dates (YYYY-MM-DD) of the first and last day to search, inclusive.
+  startDate: ?string;
+  endDate: ?string;
+
+  // These apply to entries: a transaction matches if one of its entries does.
+  //
+  // The account must be this one or one of its descendants.  The amount must
+  // have this commodity, and its magnitude (debit or credit) must be within
+  // [minAmount, maxAmount], which are decimal strings like "412.19".
+  account: ?Account;
+  commodity: ?string;
+  minAmount: ?string;
+  maxAmount: ?string;
+
+  // The payee of the transaction.
+  payee: ?Payee;
+
+  // A tag, and metadata keys with the values they must have (or null for any
+  // value).  These can be on the transaction or on a matching entry (see
+  // Transaction.hasTag() and getMetadata()).
+  tag: ?string;
+  metadata: ?{[key: string]: ?string};
+
+  // Any other condition.
+  filter: ?(txn: Transaction) => boolean;
+}
+
+/**
+ * A Reader for the transactions that match a TransactionQueryOptions, in date
+ * order.  Get one with db.newTransactionQuery().
+ *
+ * Subscribers are notified when the list changes, including when a
+ * transaction in it changes but still matches.
+ */
+class TransactionQuery extends Reader {
+  options: TransactionQueryOptions;
+  text: ?string;
+  minAmount: ?Decimal;
+  maxAmount: ?Decimal;
+  transactions: Array<Transaction>;
+
+  // The versions of our transactions when we last notified subscribers.
+  versions: Array<number>;
+
+  complete: boolean;
+  loading: ?Promise<void>;
+
+  constructor(db: DB, options: TransactionQueryOptions) {
+    // Invalid options must throw before the reader is registered.
+    for (let date of [options.startDate, options.endDate]) {
+      if (date != null && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw "invalid date: " + String(date);
+      }
+    }
+
+    let parseAmount = function(amount: ?string): ?Decimal {
+      if (amount == null) {
+        return null;
+      } else if (!/^\d+(\.\d+)?$/.test(amount)) {
+        throw "invalid amount: " + String(amount);
+      }
+      return new Decimal(amount);
+    }
+
+    let minAmount = parseAmount(options.minAmount);
+    let maxAmount = parseAmount(options.maxAmount);
+
+    super(db);
+
+    this.options = options;
+    this.text = options.text ? options.text.toLowerCase() : null;
+    this.minAmount = minAmount;
+    this.maxAmount = maxAmount;
+    this.transactions = [];
+    this.versions = [];
+    this._refresh();
+  }
+
+  /**
+   * Returns the matching transactions, in date order.  Until isLoaded(), some
+   * may still be missing.
+   */
+  getTransactions(): Array<Transaction> {
+    return this.transactions;
+  }
+
+  /**
+   * Returns the total amount of the matching entries (see
+   * TransactionQueryOptions) of our transactions.  For example, a query for
+   * the entries under Expenses tagged "reimbursable" gives what is owed.
+   */
+  getTotal(): Amount {
+    let total = new Amount();
+    for (let txn of this.transactions) {
+      total.add(this._total(txn));
+    }
+    return total;
+  }
+
+  /**
+   * Like getTotal(), but for each payee, largest first.  For example, a query
+   * for the entries under Expenses gives the spending by merchant.
+   * Transactions without a payee are totaled under a null payee.
+   */
+  getPayeeTotals(): Array<{payee: ?Payee, amount: Amount}> {
+    let totals = new Map();
+
+    for (let txn of this.transactions) {
+      let payee = txn.getPayee();
+      let total = totals.get(payee);
+      if (!total) {
+        total = {payee: payee, amount: new Amount()};
+        totals.set(payee, total);
+      }
+
+      total.amount.add(this._total(txn));
+    }
+
+    // Amounts of several commodities are ordered by their first one.
+    let size = function(amount: Amount): Decimal {
+      let first = amount.commodities.values().next().value;
+      return first ? new Decimal(first.toString().replace(/^-/, "")) :
+                     new Decimal("0");
+    }
+
+    return Array.from(totals.values()).sort(
+        (a, b) => size(b.amount).compare(size(a.amount)));
+  }
+
+  isLoaded(): boolean { return this.complete; }
+
+  _loading(): ?Promise<void> { return this.loading; }
+
+  close() {
+    this.db.readers.delete(this);
+  }
+
+  _refresh() {
+    let options = this.options;
+    let stored = this.db.storedMonths;
+
+    // We only read transactions from memory, so we first need all of those in
+    // the range that could match.
+    let needMonths = [];
+    if (stored) {
+      let from = options.startDate ? monthOf(options.startDate) : stored[0];
+      let to = options.endDate ? monthOf(options.endDate) : stored[1];
+      needMonths = this.db._unloadedMonths(from, to, options.account);
+    }
+
+    this.complete = needMonths.length == 0;
+    this.loading = this.complete ?
+        null : this.db._loadMonths(needMonths, options.account);
+
+    let transactions = [];
+    let iter = this.db.transactionsByTime.iterator(options.startDate);
+    // $FlowIssue: Doesn't recognize the iterator.
+    for (let [key, txn] of iter) {
+      if (options.endDate && txn.data.date > options.endDate) {
+        break;
+      }
+      if (this._matches(txn)) {
+        transactions.push(txn);
+      }
+    }
+
+    let versions = transactions.map((txn) => txn.getVersion());
+    let changed = transactions.length != this.transactions.length ||
+        transactions.some((txn, i) => txn !== this.transactions[i] ||
+                                      versions[i] != this.versions[i]);
+
+    this.transactions = transactions;
+    this.versions = versions;
+
+    if (changed) {
+      this._notifySubscribers();
+    }
+  }
+
+  _matches(txn: Transaction): boolean {
+    let options = this.options;
+
+    if (this.text) {
+      let descriptions = [txn.data.description].concat(
+          txn.data.entry.map((entry) => entry.description || ""));
+      let text = this.text;
+      if (!descriptions.some((d) => d.toLowerCase().indexOf(text) >= 0)) {
+        return false;
+      }
+    }
+
+    if (options.payee && txn.getPayee() !== options.payee) {
+      return false;
+    }
+
+    if (!txn.data.entry.some((entry) => this._entryMatches(txn, entry))) {
+      return false;
+    }
+
+    return !options.filter || options.filter(txn);
+  }
+
+  _total(txn: Transaction): Amount {
+    let total = new Amount();
+    for (let entry of txn.data.entry) {
+      if (this._entryMatches(txn, entry)) {
+        total.add(new Amount(entry.amount));
+      }
+    }
+    return total;
+  }
+
+  _entryMatches(txn: Transaction, entry: Object): boolean {
+    let options = this.options;
+
+    if (options.tag && !txn.hasTag(options.tag, entry)) {
+      return false;
+    }
+
+    let metadata = options.metadata || {};
+    for (let key of Object.keys(metadata)) {
+      let value = txn.getMetadata(key, entry);
+      if (value === undefined ||
+          (metadata[key] != null && value !== metadata[key])) {
+        return false;
+      }
+    }
+
+    if (options.account) {
+      let account = this.db.getAccountByGuid(entry.account_guid);
+      while (account && account !== options.account) {
+        account = account.parent;
+      }
+      if (!account) {
+        return false;
+      }
+    }
+
+    if (!options.commodity && !this.minAmount && !this.maxAmount) {
+      return true;
+    }
+
+    for (let commodity of Object.keys(entry.amount)) {
+      if (options.commodity && commodity != options.commodity) {
+        continue;
+      }
+
+      let amount = new Decimal(entry.amount[commodity].replace(/^-/, ""));
+      if ((!this.minAmount || amount.compare(this.minAmount) >= 0) &&
+          (!this.maxAmount || amount.compare(this.maxAmount) <= 0)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
@@ -0,0 +1,1409 @@
+/**
+ * @fileoverview Storage backends for the DB.  The DB keeps everything it needs
+ * in memory and only uses a Storage to load its initial state and to persist
+ * batches of changes.  Any key/value store that can apply a batch of writes
+ * atomically can be used.
+ * @author jhaberman@gmail.com (Josh Haberman)
+ * @flow
+ */
+
+"use strict";
+
+declare var indexedDB: any;
+declare var IDBKeyRange: any;
+declare var BroadcastChannel: any;
+declare var crypto: any;
+declare var TextEncoder: any;
+declare var TextDecoder: any;
+
+// The error of a batch whose checkLast() failed, because another instance of
+// the store (like in another browser tab) wrote to it first.
+export const CONFLICT = "Another window changed the book at the same time.";
+
+// The errors of opening an encrypted store (see EncryptedStorage.unlock())
+// without its passphrase, or with the wrong one.
+export const LOCKED = "book is locked.";
+export const WRONG_PASSPHRASE = "wrong passphrase.";
+
+// Maps object store name to its key field name.
+export const ObjectStores = {
+  "transactions": "guid",
+  "accounts": "guid",
+  "sums": "key",
+  "commits": "version",
+  "settings": "name",
+  "payees": "guid"
+};
+
+// The keys of the "account_order" index: one "<account guid>;<date>" key for
+// every account that the transaction has an entry for.
+function accountOrderKeys(txn: Object): Array<string> {
+  let keys = new Set();
+  for (let entry of txn.entry) {
+    keys.add(entry.account_guid + ";" + txn.date);
+  }
+  return Array.from(keys);
+}
+
+// The keys of the "period_close" index: the date of the transaction, if it
+// closes an accounting period.
+function periodCloseKeys(txn: Object): Array<string> {
+  return txn.period_close ? [txn.date] : [];
+}
+
+// Maps object store name to its secondary indexes.  An index either indexes
+// one field of the objects (index name -> field name) or is computed from them
+// (index name -> function that returns the object's keys in the index).
+export const Indexes = {
+  "transactions": {
+    "time_order": "date",
+    "account_order": accountOrderKeys,
+    "period_close": periodCloseKeys,
+  }
+};
+
+// The field that stored objects keep the keys of a computed index in, apart
+// from their own fields (see IndexedDBStorage and EncryptedStorage).
+function indexKeysField(index: string): string {
+  return index + "_keys";
+}
+
+/**
+ * Returns the keys that an object has in the given index (or its primary key,
+ * if index is null).
+ */
+export function indexKeys(collection: string, index: ?string,
+                          data: Object): Array<any> {
+  if (!index) {
+    return [data[ObjectStores[collection]]];
+  }
+
+  let spec = Indexes[collection][index];
+  if (typeof spec != "function") {
+    return [data[spec]];
+  }
+
+  // Encrypted objects carry the keys of their computed indexes, since their
+  // other fields can't be read (see EncryptedStorage).
+  return data.sealed ? data[indexKeysField(index)] : spec(data);
+}
+
+/** Schema migrations *********************************************************/
+
+/**
+ * The changes that a migration step can make to a store.  Each Storage
+ * implements this for the stores it upgrades.
+ */
+export class SchemaUpgrade {
+  /**
+   * Creates a collection whose objects are keyed by the given field.
+   */
+  createStore(collection: string, keyField: string) { throw "Must override"; }
+
+  /**
+   * Deletes a collection and all of its objects.
+   */
+  deleteStore(collection: string) { throw "Must override"; }
+
+  /**
+   * Creates one of the indexes in Indexes, including for existing objects.
+   */
+  createIndex(collection: string, index: string) { throw "Must override"; }
+
+  /**
+   * Deletes an index that is no longer used.
+   */
+  deleteIndex(collection: string, index: string) { throw "Must override"; }
+
+  /**
+   * Rewrites every object in the collection.  func returns the new object
+   * (which may have a different key, eg. to re-key it), or null to delete it.
+   */
+  rewrite(collection: string, func: (data: Object) => ?Object) {
+    throw "Must override";
+  }
+}
+
+// The steps that upgrade a store from one schema version to the next:
+// Migrations[i] upgrades a store from version i to version i + 1 (version 0 is
+// a store that doesn't exist yet), so a store at version i runs all steps
+// from i on.  Released steps must never change; changes to the schema (or to
+// the stored objects) are always made by adding a new step.
+//
+// Steps run in order, each one after the rewrites of the previous step are
+// done.  If a step fails, the store is left at its old version.
+//
+// Steps run before the store is unlocked, so in encrypted stores they only see
+// the sealed objects (see EncryptedStorage), and rewrites must leave their
+// sealed contents as they are.
+export const Migrations: Array<(upgrade: SchemaUpgrade) => void> = [
+  // 1: The initial schema.
+  function(upgrade) {
+    upgrade.createStore("transactions", "guid");
+    upgrade.createIndex("transactions", "time_order");
+    upgrade.createStore("accounts", "guid");
+    upgrade.createStore("sums", "key");
+  },
+
+  // 2: The commit log.
+  function(upgrade) {
+    upgrade.createStore("commits", "version");
+  },
+
+  // 3: Transactions by account.
+  function(upgrade) {
+    upgrade.createIndex("transactions", "account_order");
+  },
+
+  // 4: Closing transactions of accounting periods.
+  function(upgrade) {
+    upgrade.createIndex("transactions", "period_close");
+  },
+
+  // 5: Settings of the store itself, like its encryption.
+  function(upgrade) {
+    upgrade.createStore("settings", "name");
+  },
+
+  // 6: Payees.
+  function(upgrade) {
+    upgrade.createStore("payees", "guid");
+  },
+
+  // 7: The keys of computed indexes move to fields of their own.  They used to
+  // be stored in the field named like the index, which replaced the
+  // period_close flag of closing transactions with their "period_close" keys.
+  function(upgrade) {
+    upgrade.deleteIndex("transactions", "account_order");
+    upgrade.deleteIndex("transactions", "period_close");
+    upgrade.rewrite("transactions", function(data) {
+      let orderKeys = data.account_order;
+      let closeKeys = data.period_close;
+      if (!Array.isArray(closeKeys)) {
+        // MemoryStorage never stored the keys of unencrypted objects.
+        return data;
+      }
+
+      delete data.account_order;
+      delete data.period_close;
+      if (data.sealed) {
+        data.account_order_keys = orderKeys;
+        data.period_close_keys = closeKeys;
+      } else if (closeKeys.length > 0) {
+        data.period_close = true;
+      }
+      return data;
+    });
+  },
+
+  // 8: The computed indexes again, over their new fields.
+  function(upgrade) {
+    upgrade.createIndex("transactions", "account_order");
+    upgrade.createIndex("transactions", "period_close");
+  },
+];
+
+/**
+ * Returns the current schema version, which stores are upgraded to when they
+ * are opened.
+ */
+export function schemaVersion(): number {
+  return Migrations.length;
+}
+
+/** Storage / WriteBatch ******************************************************/
+
+/**
+ * Interface for a storage backend.
+ *
+ * A Storage holds a few named collections ("accounts", "transactions", "sums",
+ * "commits") of plain JavaScript objects that follow the schemas in
+ * model.proto.  Each collection is keyed by one of the fields of its objects;
+ * see ObjectStores above.
+ */
+export class Storage {
+  /**
+   * Opens the underlying store, creating or upgrading the schema if necessary
+   * (see Migrations).  Returns a promise that succeeds once the store is ready
+   * for load() and newBatch().
+   */
+  open(): Promise<void> { throw "Must override"; }
+
+  /**
+   * Closes the store.  After this returns, no other methods may be called.
+   */
+  close() { throw "Must override"; }
+
+  /**
+   * Iterates over every object in the given collection, calling func once per
+   * object.  Returns a promise that succeeds (with the number of objects read)
+   * when iteration is complete.
+   */
+  load(collection: string, func: (data: Object) => void): Promise<number> {
+    throw "Must override";
+  }
+
+  /**
+   * Like load(), but only for objects that have a key in the given index (see
+   * Indexes) in the range [lower, upper).  Objects are visited in index
+   * order, and an object with several keys in the range is visited once per
+   * key.
+   */
+  loadRange(collection: string, index: string, lower: string, upper: string,
+            func: (data: Object) => void): Promise<number> {
+    throw "Must override";
+  }
+
+  /**
+   * Returns a promise for the object in the given collection with this key,
+   * or null if there is none.
+   */
+  get(collection: string, key: string): Promise<?Object> {
+    throw "Must override";
+  }
+
+  /**
+   * Returns a promise for the object in the given collection with the
+   * smallest key (or the smallest value for the given index, if one is
+   * specified), or null if the collection is empty.
+   */
+  loadFirst(collection: string, index: ?string): Promise<?Object> {
+    throw "Must override";
+  }
+
+  /**
+   * Like loadFirst(), but for the greatest key or index value.
+   */
+  loadLast(collection: string, index: ?string): Promise<?Object> {
+    throw "Must override";
+  }
+
+  /**
+   * Returns a new, empty WriteBatch for this store.
+   */
+  newBatch(): WriteBatch { throw "Must override"; }
+
+  /**
+   * Deletes all data in the store (all data is completely lost!), returning a
+   * promise.  The store must not be open.
+   */
+  destroy(): Promise<void> { throw "Must override"; }
+
+  /**
+   * Sends a message (a plain object) to every other open instance of this
+   * store, for example in other browser tabs.
+   */
+  broadcast(message: Object) { throw "Must override"; }
+
+  /**
+   * Sets the function that is called with every message that another instance
+   * of this store broadcasts while this one is open.
+   */
+  listen(func: (message: Object) => void) { throw "Must override"; }
+
+  /**
+   * Returns a promise for the names of all stores of this type.
+   */
+  static list(): Promise<Array<string>> { throw "Must override"; }
+}
+
+/**
+ * A set of writes that are applied to a Storage atomically: either all of them
+ * take effect or none of them do.
+ */
+export class WriteBatch {
+  ops: Array<Object>;
+
+  // The [collection, key] that checkLast() expects, if any.
+  expected: ?[string, any];
+
+  constructor() {
+    this.ops = [];
+    this.expected = null;
+  }
+
+  /**
+   * Makes the batch fail with CONFLICT, writing nothing, unless the last object
+   * of the collection has this key when the batch is applied (or, if key is
+   * null, the collection is empty).  The check and the writes are atomic, even
+   * between several instances of the store (like in several browser tabs).
+   */
+  checkLast(collection: string, key: any) {
+    this.expected = [collection, key];
+  }
+
+  /**
+   * Adds a new object, failing the batch if its key already exists.
+   */
+  add(collection: string, data: Object) {
+    this.ops.push({type: "add", collection: collection, data: data});
+  }
+
+  /**
+   * Adds or overwrites an object.
+   */
+  put(collection: string, data: Object) {
+    this.ops.push({type: "put", collection: collection, data: data});
+  }
+
+  /**
+   * Deletes the object with this key, if present.
+   */
+  delete(collection: string, key: string) {
+    this.ops.push({type: "delete", collection: collection, key: key});
+  }
+
+  /**
+   * Returns the names of all collections written by this batch.
+   */
+  collections(): Array<string> {
+    let ret = new Set();
+    if (this.expected) { ret.add(this.expected[0]); }
+    for (let op of this.ops) { ret.add(op.collection); }
+    return Array.from(ret);
+  }
+
+  /**
+   * Applies all writes in the batch, returning a promise that succeeds once
+   * they are durable and fails if none of them could be applied.
+   */
+  commit(): Promise<void> { throw "Must override"; }
+}
+
+/** IndexedDBStorage **********************************************************/
+
+/**
+ * Storage backed by a browser's IndexedDB.  This is the default storage.
+ */
+export class IndexedDBStorage extends Storage {
+  name: string;
+  idb: any;
+
+  // For messages between tabs (see broadcast()), if the browser supports it.
+  channel: any;
+  listener: ?(message: Object) => void;
+
+  constructor(name: string) {
+    super();
+    this.name = name;
+    this.idb = null;
+    this.channel = null;
+    this.listener = null;
+  }
+
+  open(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      // Open Database, creating or upgrading the schema if necessary.
+      var request = indexedDB.open(this.name, schemaVersion());
+
+      request.onupgradeneeded = function(e) {
+        let upgrade =
+            new IndexedDBSchemaUpgrade(request.result, request.transaction);
+        let version = e.oldVersion;
+
+        let next = function() {
+          if (version < schemaVersion()) {
+            try {
+              Migrations[version++](upgrade);
+            } catch (error) {
+              // Aborting the upgrade fails the open, and leaves the database
+              // at its old version.
+              console.log("Error upgrading to version " + version, error);
+              request.transaction.abort();
+              return;
+            }
+            upgrade.whenDone(next);
+          }
+        }
+
+        next();
+      }
+
+      request.onblocked = function(e) {
+        alert("Oops!");
+        reject(Error("DB was blocked"))
+      }
+
+      request.onsuccess = () => {
+        this.idb = request.result;
+
+        if (typeof BroadcastChannel != "undefined") {
+          this.channel = new BroadcastChannel("dblbook:" + this.name);
+          this.channel.onmessage = (event) => {
+            if (this.listener) { this.listener(event.data); }
+          }
+        }
+
+        // Set up behavior for what we'll do if the database changes versions
+        // (or is deleted) out from under us.
+        this.idb.onversionchange = (e) => {
+          if (e.newVersion === null) {
+            this.idb.close();
+          }
+        }
+
+        resolve();
+      }
+
+      request.onerror = function() {
+        reject(Error("error opening IndexedDB"));
+      }
+    });
+  }
+
+  close() {
+    this.idb.close();
+    if (this.channel) {
+      this.channel.close();
+    }
+  }
+
+  broadcast(message: Object) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
+  }
+
+  listen(func: (message: Object) => void) {
+    this.listener = func;
+  }
+
+  load(collection: string, func: (data: Object) => void): Promise<number> {
+    return this._loadCursor(collection, null, null, func);
+  }
+
+  loadRange(collection: string, index: string, lower: string, upper: string,
+            func: (data: Object) => void): Promise<number> {
+    let range = IDBKeyRange.bound(lower, upper, false, true);
+    return this._loadCursor(collection, index, range, func);
+  }
+
+  _loadCursor(collection: string, index: ?string, range: any,
+              func: (data: Object) => void): Promise<number> {
+    return new Promise((resolve, reject) => {
+      let txn = this.idb.transaction(collection, "readonly");
+      let source = txn.objectStore(collection);
+      let count = 0;
+
+      if (index) {
+        source = source.index(index);
+      }
+
+      source.openCursor(range).onsuccess = function(event) {
+        let cursor = event.target.result;
+        if (cursor) {
+          func(IndexedDBStorage._withoutIndexKeys(collection, cursor.value));
+          count++;
+          cursor.continue();
+        } else {
+          resolve(count);
+        }
+      }
+
+      txn.onerror = function(event) {
+        reject(Error("error loading " + collection));
+      }
+    });
+  }
+
+  get(collection: string, key: string): Promise<?Object> {
+    return new Promise((resolve, reject) => {
+      let txn = this.idb.transaction(collection, "readonly");
+      let request = txn.objectStore(collection).get(key);
+
+      request.onsuccess = function(event) {
+        let data = request.result;
+        resolve(data ? IndexedDBStorage._withoutIndexKeys(collection, data)
+                     : null);
+      }
+
+      txn.onerror = function(event) {
+        reject(Error("error loading " + collection));
+      }
+    });
+  }
+
+  loadFirst(collection: string, index: ?string): Promise<?Object> {
+    return this._loadEnd(collection, index, "next");
+  }
+
+  loadLast(collection: string, index: ?string): Promise<?Object> {
+    return this._loadEnd(collection, index, "prev");
+  }
+
+  _loadEnd(collection: string, index: ?string,
+           direction: string): Promise<?Object> {
+    return new Promise((resolve, reject) => {
+      let txn = this.idb.transaction(collection, "readonly");
+      let source = txn.objectStore(collection);
+
+      if (index) {
+        source = source.index(index);
+      }
+
+      let request = source.openCursor(null, direction);
+
+      request.onsuccess = function(event) {
+        let cursor = event.target.result;
+        let data = cursor ? cursor.value : null;
+        resolve(data ? IndexedDBStorage._withoutIndexKeys(collection, data)
+                     : null);
+      }
+
+      txn.onerror = function(event) {
+        reject(Error("error loading " + collection));
+      }
+    });
+  }
+
+  newBatch(): WriteBatch {
+    return new IndexedDBWriteBatch(this);
+  }
+
+  // Returns a copy of the object with the keys of its computed indexes added,
+  // as the object is stored.  Encrypted objects have them already.
+  static _withIndexKeys(collection: string, data: Object): Object {
+    if (data.sealed) {
+      return data;
+    }
+
+    let ret = data;
+    let indexes = Indexes[collection] || {};
+    for (let index of Object.keys(indexes)) {
+      if (typeof indexes[index] == "function") {
+        if (ret === data) { ret = Object.assign({}, data); }
+        ret[indexKeysField(index)] = indexes[index](data);
+      }
+    }
+    return ret;
+  }
+
+  // The inverse of _withIndexKeys(), for objects that are read.
+  static _withoutIndexKeys(collection: string, data: Object): Object {
+    if (data.sealed) {
+      return data;
+    }
+
+    let indexes = Indexes[collection] || {};
+    for (let index of Object.keys(indexes)) {
+      if (typeof indexes[index] == "function") {
+        delete data[indexKeysField(index)];
+      }
+    }
+    return data;
+  }
+
+  static list(): Promise<Array<string>> {
+    if (!indexedDB.databases) {
+      return Promise.reject(Error("This browser can't list IndexedDBs"));
+    }
+    return indexedDB.databases()
+        .then((infos) => infos.map((info) => info.name));
+  }
+
+  destroy(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      var request = indexedDB.deleteDatabase(this.name);
+      request.onsuccess = function() {
+        resolve();
+      }
+      request.onerror = function(event) {
+        console.log("Error in obliterate", event);
+        reject(new Error("Error in obliterate", event));
+      }
+    });
+  }
+}
+
+class IndexedDBWriteBatch extends WriteBatch {
+  storage: IndexedDBStorage;
+
+  constructor(storage: IndexedDBStorage) {
+    super();
+    this.storage = storage;
+  }
+
+  commit(): Promise<void> {
+    // IndexedDB transactions commit automatically once they have no pending
+    // requests, so all of the writes must be issued before we return to the
+    // event loop.
+    let txn = this.storage.idb.transaction(this.collections(), "readwrite");
+    let conflict = false;
+
+    let write = () => {
+      for (let op of this.ops) {
+        let objectStore = txn.objectStore(op.collection);
+        switch (op.type) {
+          case "add":
+            // Use add() to make sure the write fails if the key already exists.
+            objectStore.add(
+                IndexedDBStorage._withIndexKeys(op.collection, op.data));
+            break;
+          case "put":
+            objectStore.put(
+                IndexedDBStorage._withIndexKeys(op.collection, op.data));
+            break;
+          case "delete":
+            objectStore.delete(op.key);
+            break;
+          default:
+            throw "Unexpected op: " + op.type;
+        }
+      }
+    }
+
+    if (this.expected) {
+      // Readwrite transactions on the same stores never overlap, not even
+      // between tabs, so nothing can be written between the check and our
+      // writes.  The transaction stays active in the callback of its request.
+      let [collection, key] = this.expected;
+      let request = txn.objectStore(collection).openCursor(null, "prev");
+      request.onsuccess = function() {
+        let cursor = request.result;
+        if ((cursor ? cursor.primaryKey : null) === key) {
+          write();
+        } else {
+          conflict = true;
+          txn.abort();
+        }
+      }
+    } else {
+      write();
+    }
+
+    return new Promise(function(resolve, reject) {
+      txn.oncomplete = function() { resolve(); }
+      txn.onerror = function(event) { reject(event); }
+      txn.onabort = function(event) {
+        if (conflict) { reject(CONFLICT); }
+      }
+    });
+  }
+}
+
+class IndexedDBSchemaUpgrade extends SchemaUpgrade {
+  idb: any;
+  txn: any;
+
+  // Number of rewrites that are still running, and the function to call once
+  // they are done.
+  pending: number;
+  done: ?Function;
+
+  constructor(idb: any, txn: any) {
+    super();
+    this.idb = idb;
+    this.txn = txn;
+    this.pending = 0;
+    this.done = null;
+  }
+
+  createStore(collection: string, keyField: string) {
+    this.idb.createObjectStore(collection, {keyPath: keyField});
+  }
+
+  deleteStore(collection: string) {
+    this.idb.deleteObjectStore(collection);
+  }
+
+  createIndex(collection: string, index: string) {
+    let store = this.txn.objectStore(collection);
+    let spec = Indexes[collection][index];
+    if (typeof spec == "function") {
+      // IndexedDB can only index stored fields, so the keys are stored in a
+      // field of their own (see _withIndexKeys()).  Existing objects need the
+      // new field too.
+      store.createIndex(index, indexKeysField(index), {multiEntry: true});
+      this.rewrite(collection, (data) => data);
+    } else {
+      store.createIndex(index, spec);
+    }
+  }
+
+  deleteIndex(collection: string, index: string) {
+    this.txn.objectStore(collection).deleteIndex(index);
+  }
+
+  rewrite(collection: string, func: (data: Object) => ?Object) {
+    let store = this.txn.objectStore(collection);
+    let keyField = store.keyPath;
+
+    // Objects with a new key are written once the cursor is done, so that it
+    // doesn't visit them again.
+    let moved = [];
+
+    this.pending++;
+    store.openCursor().onsuccess = (event) => {
+      let cursor = event.target.result;
+      if (cursor) {
+        let data = IndexedDBStorage._withoutIndexKeys(collection, cursor.value);
+        let newData = func(data);
+        if (!newData) {
+          cursor.delete();
+        } else if (newData[keyField] === cursor.primaryKey) {
+          cursor.update(IndexedDBStorage._withIndexKeys(collection, newData));
+        } else {
+          cursor.delete();
+          moved.push(newData);
+        }
+        cursor.continue();
+      } else {
+        for (let data of moved) {
+          store.put(IndexedDBStorage._withIndexKeys(collection, data));
+        }
+        if (--this.pending == 0 && this.done) {
+          let done = this.done;
+          this.done = null;
+          done();
+        }
+      }
+    }
+  }
+
+  // Calls func once all rewrites have finished.
+  whenDone(func: Function) {
+    if (this.pending == 0) {
+      func();
+    } else {
+      this.done = func;
+    }
+  }
+}
+
+/** MemoryStorage *************************************************************/
+
+function compare(v1: any, v2: any): number {
+  if (v1 < v2) {
+    return -1;
+  } else if (v2 < v1) {
+    return 1;
+  } else {
+    return 0;
+  }
+}
+
+/**
+ * Storage that keeps everything in memory.  Data is lost when the page (or
+ * process) exits, but survives close() and re-open() of a store with the same
+ * name, just like a persistent store would.  This lets the DB (and its tests)
+ * run outside of a browser.
+ */
+export class MemoryStorage extends Storage {
+  name: string;
+
+  // Collection name -> (key -> data).  Null when the store is not open.
+  collections: ?Map<string, Map<string, Object>>;
+
+  listener: ?(message: Object) => void;
+
+  // Schema version and contents of all stores, by store name.
+  static stores: Map<string, {version: number,
+                              collections: Map<string, Map<string, Object>>}>;
+
+  // Open instances (see broadcast()), by store name.  Instances of a store act
+  // like the same store opened in several browser tabs.
+  static instances: Map<string, Set<MemoryStorage>>;
+
+  constructor(name: string) {
+    super();
+    this.name = name;
+    this.collections = null;
+    this.listener = null;
+  }
+
+  open(): Promise<void> {
+    let store = MemoryStorage.stores.get(this.name) ||
+        {version: 0, collections: new Map()};
+
+    if (store.version < schemaVersion()) {
+      // The steps upgrade a copy, so a failed step leaves the store as it was.
+      let upgrade = new MemorySchemaUpgrade(store.collections);
+      try {
+        for (let i = store.version; i < schemaVersion(); i++) {
+          Migrations[i](upgrade);
+        }
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      store = {version: schemaVersion(), collections: upgrade.collections};
+      MemoryStorage.stores.set(this.name, store);
+    }
+
+    this.collections = store.collections;
+
+    let instances = MemoryStorage.instances.get(this.name) || new Set();
+    instances.add(this);
+    MemoryStorage.instances.set(this.name, instances);
+
+    return Promise.resolve();
+  }
+
+  close() {
+    this.collections = null;
+    let instances = MemoryStorage.instances.get(this.name);
+    if (instances) {
+      instances.delete(this);
+    }
+  }
+
+  broadcast(message: Object) {
+    let instances = MemoryStorage.instances.get(this.name) || new Set();
+    for (let instance of instances) {
+      if (instance !== this) {
+        // Like a BroadcastChannel, messages are copied and arrive
+        // asynchronously.
+        let copy = MemoryStorage._clone(message);
+        Promise.resolve().then(() => {
+          if (instance.listener && instance.collections) {
+            instance.listener(copy);
+          }
+        });
+      }
+    }
+  }
+
+  listen(func: (message: Object) => void) {
+    this.listener = func;
+  }
+
+  _getCollection(collection: string): Map<string, Object> {
+    let ret = this.collections ? this.collections.get(collection) : null;
+    if (!ret) {
+      throw "Unknown collection or store not open: " + collection;
+    }
+    return ret;
+  }
+
+  load(collection: string, func: (data: Object) => void): Promise<number> {
+    let objects = this._getCollection(collection);
+
+    let keys = MemoryStorage._sortedKeys(objects);
+
+    for (let key of keys) {
+      func(MemoryStorage._clone(objects.get(key)));
+    }
+
+    return Promise.resolve(keys.length);
+  }
+
+  loadRange(collection: string, index: string, lower: string, upper: string,
+            func: (data: Object) => void): Promise<number> {
+    let count = 0;
+
+    for (let [key, data] of this._indexEntries(collection, index)) {
+      if (key >= lower && key < upper) {
+        func(MemoryStorage._clone(data));
+        count++;
+      }
+    }
+
+    return Promise.resolve(count);
+  }
+
+  get(collection: string, key: string): Promise<?Object> {
+    let data = this._getCollection(collection).get(key);
+    return Promise.resolve(data ? MemoryStorage._clone(data) : null);
+  }
+
+  loadFirst(collection: string, index: ?string): Promise<?Object> {
+    let entries = this._indexEntries(collection, index);
+    let data = entries.length ? entries[0][1] : null;
+    return Promise.resolve(data ? MemoryStorage._clone(data) : null);
+  }
+
+  loadLast(collection: string, index: ?string): Promise<?Object> {
+    let entries = this._indexEntries(collection, index);
+    let data = entries.length ? entries[entries.length - 1][1] : null;
+    return Promise.resolve(data ? MemoryStorage._clone(data) : null);
+  }
+
+  // Returns the [key, object] pairs of the given index (or of the primary key,
+  // if index is null) in the order that a cursor over it would visit them.
+  _indexEntries(collection: string, index: ?string): Array<[any, Object]> {
+    let objects = this._getCollection(collection);
+    let entries = [];
+
+    for (let key of MemoryStorage._sortedKeys(objects)) {
+      let data = objects.get(key);
+      for (let indexKey of indexKeys(collection, index, data)) {
+        entries.push([indexKey, data]);
+      }
+    }
+
+    // Array.prototype.sort() is not guaranteed to be stable, so we break ties
+    // by primary key order explicitly.
+    return entries.map((entry, i) => [entry, i]).sort(function(a, b) {
+      return compare(a[0][0], b[0][0]) || a[1] - b[1];
+    }).map((pair) => pair[0]);
+  }
+
+  newBatch(): WriteBatch {
+    return new MemoryWriteBatch(this);
+  }
+
+  destroy(): Promise<void> {
+    MemoryStorage.stores.delete(this.name);
+    return Promise.resolve();
+  }
+
+  static list(): Promise<Array<string>> {
+    return Promise.resolve(Array.from(MemoryStorage.stores.keys()));
+  }
+
+  // Returns the keys of this collection in key order, like an IndexedDB cursor
+  // would visit them.
+  static _sortedKeys(objects: Map<string, Object>): Array<string> {
+    return Array.from(objects.keys()).sort(compare);
+  }
+
+  // Stored objects must not share structure with the live objects of the DB,
+  // or later changes would be visible without a commit.
+  static _clone(data: Object): Object {
+    return JSON.parse(JSON.stringify(data));
+  }
+}
+
+MemoryStorage.stores = new Map();
+MemoryStorage.instances = new Map();
+
+class MemoryWriteBatch extends WriteBatch {
+  storage: MemoryStorage;
+
+  constructor(storage: MemoryStorage) {
+    super();
+    this.storage = storage;
+  }
+
+  commit(): Promise<void> {
+    if (this.expected) {
+      let [collection, key] = this.expected;
+      let keys = MemoryStorage._sortedKeys(
+          this.storage._getCollection(collection));
+      let last = keys.length ? keys[keys.length - 1] : null;
+      if (last !== key) {
+        return Promise.reject(CONFLICT);
+      }
+    }
+
+    // First check that every write will succeed, so that we either apply all
+    // of the writes or none of them.
+    let added = new Set();
+    for (let op of this.ops) {
+      let objects = this.storage._getCollection(op.collection);
+      if (op.type == "add") {
+        let key = op.data[ObjectStores[op.collection]];
+        let fullKey = op.collection + ";" + key;
+        if (objects.has(key) || added.has(fullKey)) {
+          return Promise.reject(Error("Key already exists: " + key));
+        }
+        added.add(fullKey);
+      }
+    }
+
+    // Writes are applied immediately (so they are visible to any subsequent
+    // load()), but as with IndexedDB, completion is signaled asynchronously.
+    for (let op of this.ops) {
+      let objects = this.storage._getCollection(op.collection);
+      switch (op.type) {
+        case "add":
+        case "put":
+          let data = MemoryStorage._clone(op.data);
+          objects.set(data[ObjectStores[op.collection]], data);
+          break;
+        case "delete":
+          objects.delete(op.key);
+          break;
+        default:
+          throw "Unexpected op: " + op.type;
+      }
+    }
+
+    return Promise.resolve();
+  }
+}
+
+class MemorySchemaUpgrade extends SchemaUpgrade {
+  collections: Map<string, Map<string, Object>>;
+
+  constructor(collections: Map<string, Map<string, Object>>) {
+    super();
+    this.collections = new Map();
+    for (let [name, objects] of collections) {
+      this.collections.set(name, new Map(objects));
+    }
+  }
+
+  _getCollection(collection: string): Map<string, Object> {
+    let ret = this.collections.get(collection);
+    if (!ret) {
+      throw "Unknown collection: " + collection;
+    }
+    return ret;
+  }
+
+  createStore(collection: string, keyField: string) {
+    if (this.collections.has(collection)) {
+      throw "Collection already exists: " + collection;
+    }
+    this.collections.set(collection, new Map());
+  }
+
+  deleteStore(collection: string) {
+    this._getCollection(collection);
+    this.collections.delete(collection);
+  }
+
+  createIndex(collection: string, index: string) {
+    // Indexes are computed when they are read (see _indexEntries()).
+    this._getCollection(collection);
+  }
+
+  deleteIndex(collection: string, index: string) {
+    this._getCollection(collection);
+  }
+
+  rewrite(collection: string, func: (data: Object) => ?Object) {
+    let objects = this._getCollection(collection);
+    let keyField = ObjectStores[collection];
+    let rewritten = new Map();
+
+    for (let key of MemoryStorage._sortedKeys(objects)) {
+      let data = func(MemoryStorage._clone(objects.get(key)));
+      if (data) {
+        rewritten.set(data[keyField], data);
+      }
+    }
+
+    this.collections.set(collection, rewritten);
+  }
+}
+
+/** EncryptedStorage **********************************************************/
+
+// PBKDF2 iterations for new keys.  Stores record the number they were created
+// with, so this can grow over time.
+const KEY_ITERATIONS = 600000;
+
+function toBase64(bytes: Uint8Array): string {
+  let str = "";
+  for (let i = 0; i < bytes.length; i++) {
+    str += String.fromCharCode(bytes[i]);
+  }
+  return btoa(str);
+}
+
+function fromBase64(str: string): Uint8Array {
+  let bin = atob(str);
+  let bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) {
+    bytes[i] = bin.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * An AES-GCM key derived from a passphrase, which encrypts objects into
+ * {iv, data} pairs.  The collection and key of the object are authenticated
+ * along with it, so sealed data can't be moved to another object.
+ */
+class Cipher {
+  key: any;
+  salt: string;
+  iterations: number;
+
+  constructor(key: any, salt: string, iterations: number) {
+    this.key = key;
+    this.salt = salt;
+    this.iterations = iterations;
+  }
+
+  static derive(passphrase: string, salt: string,
+                iterations: number): Promise<Cipher> {
+    let subtle = crypto.subtle;
+    let raw = new TextEncoder().encode(passphrase);
+    return subtle.importKey("raw", raw, "PBKDF2", false, ["deriveKey"])
+        .then(function(base) {
+      return subtle.deriveKey(
+          {name: "PBKDF2", salt: fromBase64(salt), iterations: iterations,
+           hash: "SHA-256"},
+          base, {name: "AES-GCM", length: 256}, false, ["encrypt", "decrypt"]);
+    }).then((key) => new Cipher(key, salt, iterations));
+  }
+
+  // Returns a promise for a Cipher with a new random salt.
+  static create(passphrase: string): Promise<Cipher> {
+    let salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    return Cipher.derive(passphrase, salt, KEY_ITERATIONS);
+  }
+
+  seal(collection: string, key: any, data: Object): Promise<Object> {
+    let iv = crypto.getRandomValues(new Uint8Array(12));
+    let plain = new TextEncoder().encode(JSON.stringify(data));
+    return crypto.subtle.encrypt(this._params(collection, key, iv), this.key,
+                                 plain).then(function(buf) {
+      return {iv: toBase64(iv), data: toBase64(new Uint8Array(buf))};
+    });
+  }
+
+  // Fails if the data wasn't sealed with this key for this object.
+  unseal(collection: string, key: any, sealed: Object): Promise<Object> {
+    let params = this._params(collection, key, fromBase64(sealed.iv));
+    return crypto.subtle.decrypt(params, this.key, fromBase64(sealed.data))
+        .then((buf) => JSON.parse(new TextDecoder().decode(buf)));
+  }
+
+  _params(collection: string, key: any, iv: Uint8Array): Object {
+    let object = new TextEncoder().encode(collection + ";" + String(key));
+    return {name: "AES-GCM", iv: iv, additionalData: object};
+  }
+
+  // Returns a promise for the "encryption" settings object of a store that
+  // uses this key: what it takes to derive the key again, and a value to
+  // check a passphrase against.
+  settings(): Promise<Object> {
+    return this.seal("settings", "encryption", {}).then((check) => ({
+      name: "encryption",
+      salt: this.salt,
+      iterations: this.iterations,
+      check: check,
+    }));
+  }
+}
+
+/**
+ * Storage that encrypts the objects of another Storage, whose store has a
+ * passphrase.  Objects are stored sealed, like:
+ *
+ *   {guid: "...", date: "2015-09-25", account_order: [...],
+ *    sealed: {iv: "...", data: "..."}}
+ *
+ * Only their keys and the keys of their indexes (guids and dates, but no
+ * names, descriptions or amounts) are left readable, so that the underlying
+ * store can still look them up.  The "settings" collection is not encrypted.
+ *
+ * Use EncryptedStorage.unlock() to open an encrypted store.
+ */
+export class EncryptedStorage extends Storage {
+  storage: Storage;
+  cipher: Cipher;
+
+  // Settles once the underlying batch of the last commit has started (see
+  // EncryptedWriteBatch).
+  lastStarted: Promise<void>;
+
+  constructor(storage: Storage, cipher: Cipher) {
+    super();
+    this.storage = storage;
+    this.cipher = cipher;
+    this.lastStarted = Promise.resolve();
+  }
+
+  /**
+   * Returns a promise for the Storage to use for the given open store: an
+   * EncryptedStorage if the store has a passphrase, or the store itself if it
+   * doesn't (in which case any passphrase is ignored).  Fails with LOCKED or
+   * WRONG_PASSPHRASE if the passphrase is missing or wrong.
+   */
+  static unlock(storage: Storage, passphrase: ?string): Promise<Storage> {
+    return storage.get("settings", "encryption").then(function(settings) {
+      if (!settings) {
+        return storage;
+      } else if (passphrase == null) {
+        throw LOCKED;
+      }
+
+      return Cipher.derive(passphrase, settings.salt, settings.iterations)
+          .then(function(cipher) {
+        return cipher.unseal("settings", "encryption", settings.check).then(
+            () => new EncryptedStorage(storage, cipher),
+            function() { throw WRONG_PASSPHRASE; });
+      });
+    });
+  }
+
+  /**
+   * Returns a promise for a batch that rewrites every object of the given
+   * (unlocked) store, encrypted with a new passphrase, or unencrypted if
+   * passphrase is null.  Nothing changes until the batch is committed.
+   *
+   * This reads the whole store into memory.
+   */
+  static rekey(storage: Storage, passphrase: ?string): Promise<WriteBatch> {
+    let inner = storage instanceof EncryptedStorage ? storage.storage : storage;
+    let objects = [];
+
+    let loads = Object.keys(ObjectStores)
+        .filter((collection) => collection != "settings")
+        .map((collection) => storage.load(collection, function(data) {
+          objects.push([collection, data]);
+        }));
+    let cipher = passphrase == null ? null : Cipher.create(passphrase);
+
+    return Promise.all([cipher].concat(loads)).then(function([cipher]) {
+      let target = cipher ? new EncryptedStorage(inner, cipher) : inner;
+      let batch = target.newBatch();
+
+      for (let [collection, data] of objects) {
+        batch.put(collection, data);
+      }
+
+      if (!cipher) {
+        batch.delete("settings", "encryption");
+        return batch;
+      }
+
+      return cipher.settings().then(function(settings) {
+        batch.put("settings", settings);
+        return batch;
+      });
+    });
+  }
+
+  open(): Promise<void> {
+    return this.storage.open();
+  }
+
+  close() {
+    this.storage.close();
+  }
+
+  load(collection: string, func: (data: Object) => void): Promise<number> {
+    return this._loadAll(collection, func,
+                         (f) => this.storage.load(collection, f));
+  }
+
+  loadRange(collection: string, index: string, lower: string, upper: string,
+            func: (data: Object) => void): Promise<number> {
+    return this._loadAll(collection, func, (f) => {
+      return this.storage.loadRange(collection, index, lower, upper, f);
+    });
+  }
+
+  get(collection: string, key: string): Promise<?Object> {
+    return this.storage.get(collection, key)
+        .then((data) => this._unseal(collection, data));
+  }
+
+  loadFirst(collection: string, index: ?string): Promise<?Object> {
+    return this.storage.loadFirst(collection, index)
+        .then((data) => this._unseal(collection, data));
+  }
+
+  loadLast(collection: string, index: ?string): Promise<?Object> {
+    return this.storage.loadLast(collection, index)
+        .then((data) => this._unseal(collection, data));
+  }
+
+  newBatch(): WriteBatch {
+    return new EncryptedWriteBatch(this);
+  }
+
+  destroy(): Promise<void> {
+    return this.storage.destroy();
+  }
+
+  broadcast(message: Object) {
+    this.storage.broadcast(message);
+  }
+
+  listen(func: (message: Object) => void) {
+    this.storage.listen(func);
+  }
+
+  // Decryption is asynchronous, so the objects that load() reads are only
+  // passed on once all of them are decrypted, in the order they were read.
+  _loadAll(collection: string, func: (data: Object) => void,
+           load: (func: (data: Object) => void) => Promise<number>) {
+    let objects = [];
+    return load((data) => objects.push(this._unseal(collection, data)))
+        .then(() => Promise.all(objects))
+        .then(function(objects) {
+      for (let data of objects) {
+        func(data);
+      }
+      return objects.length;
+    });
+  }
+
+  _unseal(collection: string, data: ?Object): Promise<?Object> {
+    if (!data || !data.sealed) {
+      return Promise.resolve(data);
+    }
+    let key = data[ObjectStores[collection]];
+    return this.cipher.unseal(collection, key, data.sealed);
+  }
+
+  _seal(collection: string, data: Object): Promise<Object> {
+    if (collection == "settings") {
+      return Promise.resolve(data);
+    }
+
+    let keyField = ObjectStores[collection];
+    let ret = {};
+    ret[keyField] = data[keyField];
+
+    let indexes = Indexes[collection] || {};
+    for (let index of Object.keys(indexes)) {
+      let spec = indexes[index];
+      if (typeof spec == "function") {
+        ret[indexKeysField(index)] = spec(data);
+      } else {
+        ret[spec] = data[spec];
+      }
+    }
+
+    return this.cipher.seal(collection, data[keyField], data)
+        .then(function(sealed) {
+      ret.sealed = sealed;
+      return ret;
+    });
+  }
+}
+
+class EncryptedWriteBatch extends WriteBatch {
+  storage: EncryptedStorage;
+
+  constructor(storage: EncryptedStorage) {
+    super();
+    this.storage = storage;
+  }
+
+  commit(): Promise<void> {
+    // Objects are encrypted before the underlying batch starts, since (for
+    // example) an IndexedDB transaction can't wait for them.
+    let ops = this.ops.map((op) => {
+      if (op.type == "delete") {
+        return op;
+      }
+      return this.storage._seal(op.collection, op.data)
+          .then((data) => Object.assign({}, op, {data: data}));
+    });
+
+    // A small batch is encrypted faster than a big one that was committed
+    // before it, but must still start after it: it may be built on it, and
+    // checkLast() would fail if it got there first.
+    let previous = this.storage.lastStarted;
+    let start;
+    this.storage.lastStarted = new Promise((resolve) => { start = resolve; });
+
+    let sealed = Promise.all(ops);
+    // Failures are handled once the previous batch has started.
+    sealed.catch(function() {});
+
+    return previous.then(() => sealed).then((ops) => {
+      let batch = this.storage.storage.newBatch();
+      if (this.expected) {
+        batch.checkLast(this.expected[0], this.expected[1]);
+      }
+      batch.ops = ops;
+      try {
+        return batch.commit();
+      } finally {
+        start();
+      }
+    }, (error) => {
+      start();
+      throw error;
+    });
+  }
+}
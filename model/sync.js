@@ -0,0 +1,498 @@
+/**
+ * @fileoverview Syncs the commit log of a DB with other devices, through a
+ * simple file store that is owned by the user (like a folder on Google Drive
+ * or Dropbox).
+ *
+ * Every device writes the commits it made into a file of its own
+ * ("<device>.commits.json"), so devices never overwrite each other's writes,
+ * even on a file store without any locking.  To pull, a device reads the files
+ * of all other devices and replays any commits it hasn't seen yet through the
+ * regular DB API, so that sums and open Readers are updated like they are for
+ * any local change.
+ *
+ * When both devices changed the same account or transaction, the changes are
+ * merged (see merge.js).  Changes that can't be merged automatically are kept
+ * in a list of conflicts for the user to resolve.  The commit log records
+ * which conflicts are open, so they outlive the DB instance.
+ *
+ * @author jhaberman@gmail.com (Josh Haberman)
+ * @flow
+ */
+
+"use strict";
+
+import { Account, DB, Observable } from './model.js';
+import { MergeResult, dataEquals, mergeAccount, mergePayee, mergeTransaction }
+    from './merge.js';
+
+const FILE_SUFFIX = ".commits.json";
+
+// The merge function of each collection in the commit log.
+const Merges = {
+  "accounts": mergeAccount,
+  "transactions": mergeTransaction,
+  "payees": mergePayee,
+};
+
+/** RemoteFileStore ***********************************************************/
+
+/**
+ * Interface for the remote file store that commits are synced through.
+ * All files are small JSON documents in a single flat directory.
+ */
+export class RemoteFileStore {
+  /**
+   * Returns a promise for the names of all files in the store.
+   */
+  list(): Promise<Array<string>> { throw "Must override"; }
+
+  /**
+   * Returns a promise for the contents of the given file, or null if it does
+   * not exist.
+   */
+  read(name: string): Promise<?string> { throw "Must override"; }
+
+  /**
+   * Creates or replaces the given file, returning a promise that succeeds once
+   * the new contents are stored.
+   */
+  write(name: string, contents: string): Promise<void> {
+    throw "Must override";
+  }
+}
+
+/** Conflict ******************************************************************/
+
+function clone(data: ?Object): ?Object {
+  return data ? JSON.parse(JSON.stringify(data)) : null;
+}
+
+/**
+ * A change to an account, transaction or payee on another device that
+ * conflicts with a local change.  Until the conflict is resolved, the local
+ * version stays in effect.
+ *
+ * These properties are provided, all of which are read-only:
+ * - collection: "accounts", "transactions" or "payees".
+ * - key: the guid of the account, transaction or payee.
+ * - base: the data both versions started from (the common ancestor).
+ * - ours: the local data.
+ * - theirs: the remote data.
+ * - conflicts: the parts of the object that conflict (see MergeResult).
+ * - origin: the device and version of the remote commit.
+ *
+ * Any of base/ours/theirs is null if the object didn't exist in that version.
+ */
+export class Conflict {
+  sync: Sync;
+  collection: string;
+  key: string;
+  base: ?Object;
+  ours: ?Object;
+  theirs: ?Object;
+  conflicts: Array<string>;
+  origin: Object;
+
+  constructor(sync: Sync, change: Object, ours: ?Object,
+              result: MergeResult, origin: Object) {
+    this.sync = sync;
+    this.collection = change.collection;
+    this.key = change.key;
+    this.base = change.before;
+    this.ours = ours;
+    this.theirs = change.after;
+    this.conflicts = result.conflicts;
+    this.origin = origin;
+  }
+
+  /**
+   * Resolves the conflict by replacing the whole account, transaction or payee
+   * with the given data, or by deleting it if data is null.  The resolution is
+   * a regular local commit, so it will be pushed to other devices.
+   *
+   * @param data Data for the account, transaction or payee (as in
+   *   model.proto).  Transactions must be valid, so a resolution can never
+   *   unbalance one.
+   */
+  resolve(data: ?Object) {
+    let db = this.sync.db;
+    data = clone(data);
+
+    if (data && this.collection == "transactions" &&
+        !db.transactionIsValid(data)) {
+      throw "invalid transaction";
+    }
+
+    db.atomic(() => {
+      let obj = db._setObjectData(this.collection, this.key, data);
+      if (obj) {
+        // Log the resolution as a change from their version, so that it
+        // replaces their version when they pull it.
+        obj.dbUpdater.committedData = this.theirs;
+      }
+      db._logInCommit("resolved", [{collection: this.collection,
+                                    key: this.key}]);
+    });
+
+    this.sync._removeConflict(this);
+  }
+
+  /**
+   * Resolves the conflict in favor of the local version.
+   */
+  takeOurs() { this.resolve(this.ours); }
+
+  /**
+   * Resolves the conflict in favor of the remote version.
+   */
+  takeTheirs() { this.resolve(this.theirs); }
+
+  /**
+   * Returns the conflict as it is recorded in the commit log (see Commit in
+   * model.proto).
+   */
+  _toRecord(): Object {
+    let record: Object = {
+      collection: this.collection,
+      key: this.key,
+      conflicts: this.conflicts,
+      origin: this.origin,
+    };
+    if (this.base) { record.base = this.base; }
+    if (this.theirs) { record.theirs = this.theirs; }
+    return clone(record);
+  }
+}
+
+/** Sync **********************************************************************/
+
+/**
+ * Pushes the local commits of a DB to a RemoteFileStore and pulls the commits
+ * of other devices from it.
+ *
+ * Sync is observable: subscribers are notified when the list of conflicts
+ * changes.
+ */
+export class Sync extends Observable {
+  db: DB;
+  fileStore: RemoteFileStore;
+  device: string;
+
+  // Conflicts from previous pulls that haven't been resolved yet.  The ones
+  // from before this Sync was created are restored from the commit log by the
+  // first pull().
+  conflicts: Array<Conflict>;
+  restored: boolean;
+
+  /**
+   * @param db The DB to sync.
+   * @param fileStore The file store to sync through.
+   * @param device A name for this device (like "laptop") that is unique among
+   *   all devices syncing through this file store.  It must stay the same for
+   *   a given DB, since it identifies the commits this DB has already pushed.
+   */
+  constructor(db: DB, fileStore: RemoteFileStore, device: string) {
+    super();
+
+    if (device.indexOf("/") != -1) {
+      throw "Device name must not contain a slash.";
+    }
+
+    this.db = db;
+    this.fileStore = fileStore;
+    this.device = device;
+    this.conflicts = [];
+    this.restored = false;
+  }
+
+  /**
+   * Returns the conflicts that need to be resolved by the user.  Conflicts
+   * left open by an earlier Sync of the same DB are only listed once pull()
+   * has run.
+   */
+  getConflicts(): Array<Conflict> {
+    return this.conflicts;
+  }
+
+  /**
+   * Pulls and then pushes, returning a promise.
+   */
+  sync(): Promise<void> {
+    return this.pull().then(() => this.push()).then(() => undefined);
+  }
+
+  /**
+   * Appends any local commits that were not pushed yet to this device's file.
+   * Returns a promise for the number of commits pushed.
+   */
+  push(): Promise<number> {
+    let fileName = this.device + FILE_SUFFIX;
+    let pushed;
+
+    return this.fileStore.read(fileName).then((contents) => {
+      pushed = contents ? JSON.parse(contents).commits : [];
+      let lastVersion = pushed.length ? pushed[pushed.length - 1].version : 0;
+      return this.db.getCommits(lastVersion);
+    }).then((commits) => {
+      // Commits that were replayed from other devices are already in their
+      // own files.
+      let local = commits.filter((commit) => !commit.origin);
+
+      if (local.length == 0) {
+        return 0;
+      }
+
+      let contents = JSON.stringify({
+        device: this.device,
+        commits: pushed.concat(local)
+      });
+
+      return this.fileStore.write(fileName, contents).then(() => local.length);
+    });
+  }
+
+  /**
+   * Replays all commits of other devices that this DB hasn't seen yet.
+   * Returns a promise for the number of commits replayed.  Any changes that
+   * conflict with local changes are added to getConflicts().
+   */
+  pull(): Promise<number> {
+    let lastVersions = new Map();
+    let previous = this.conflicts.slice();
+    let restored = [];
+
+    // The commit log records which remote commits we have already replayed,
+    // and which conflicts are still open.
+    return this.db.getCommits().then((commits) => {
+      if (!this.restored) {
+        restored = this._openConflicts(commits);
+      }
+
+      for (let commit of commits) {
+        if (commit.origin) {
+          let last = lastVersions.get(commit.origin.device) || 0;
+          lastVersions.set(commit.origin.device,
+                           Math.max(last, commit.origin.version));
+        }
+      }
+      return this.fileStore.list();
+    }).then((names) => {
+      let ownName = this.device + FILE_SUFFIX;
+      names = names.filter(
+          (name) => name.endsWith(FILE_SUFFIX) && name != ownName);
+      return Promise.all(names.map((name) => this.fileStore.read(name)));
+    }).then((files) => {
+      let pending = [];
+
+      for (let contents of files) {
+        if (!contents) {
+          continue;
+        }
+        let file = JSON.parse(contents);
+        let last = lastVersions.get(file.device) || 0;
+        for (let commit of file.commits) {
+          if (commit.version > last) {
+            pending.push([file.device, commit]);
+          }
+        }
+      }
+
+      // A device only makes a commit after replaying the commits it has seen,
+      // so replaying in time order preserves the order of dependent changes.
+      pending.sort((a, b) => {
+        let t1 = a[1].timestamp;
+        let t2 = b[1].timestamp;
+        return t1 < t2 ? -1 : (t2 < t1 ? 1 : 0);
+      });
+
+      // Merging needs our version of every transaction that is changed (or
+      // still in conflict), so they must be loaded first.
+      let guids = new Set();
+      for (let record of restored) {
+        if (record.collection == "transactions") { guids.add(record.key); }
+      }
+      for (let [device, commit] of pending) {
+        for (let change of commit.changes) {
+          if (change.collection == "transactions") { guids.add(change.key); }
+        }
+      }
+
+      let loads = [this.db._loadTransactionsByGuid(Array.from(guids))];
+
+      // Moving an account moves the amounts of all of its transactions (see
+      // Account.update()), so those must be loaded as well.
+      for (let [device, commit] of pending) {
+        for (let change of commit.changes) {
+          let account = change.collection == "accounts" ?
+              this.db.getAccountByGuid(change.key) : null;
+          if (account && change.after &&
+              change.after.parent_guid != account.data.parent_guid) {
+            loads.push(this.db._loadMonths(
+                this.db._allUnloadedMonths(account), account));
+          }
+        }
+      }
+
+      return Promise.all(loads).then(() => {
+        if (!this.restored) {
+          this._restoreConflicts(restored);
+        }
+
+        for (let [device, commit] of pending) {
+          this._replay(device, commit);
+        }
+
+        if (previous.length != this.conflicts.length ||
+            previous.some((conflict, i) => conflict !== this.conflicts[i])) {
+          this._notifySubscribers();
+        }
+
+        return pending.length;
+      });
+    });
+  }
+
+  /**
+   * Returns the records of the conflicts that are still open according to the
+   * given commit log (see Commit in model.proto).
+   */
+  _openConflicts(commits: Array<Object>): Array<Object> {
+    let open = new Map();
+
+    for (let commit of commits) {
+      for (let resolved of commit.resolved || []) {
+        open.delete(resolved.collection + ":" + resolved.key);
+      }
+      for (let record of commit.conflicts || []) {
+        open.set(record.collection + ":" + record.key, record);
+      }
+    }
+
+    return Array.from(open.values());
+  }
+
+  /**
+   * Sets the list of conflicts to the given records, which must have their
+   * transactions loaded.
+   */
+  _restoreConflicts(records: Array<Object>) {
+    this.conflicts = [];
+    for (let record of records) {
+      let change = {collection: record.collection, key: record.key,
+                    before: record.base || null, after: record.theirs || null};
+      let obj = this.db._getObject(record.collection, record.key);
+      let result = new MergeResult(null, record.conflicts);
+      this.conflicts.push(new Conflict(this, change, obj ? obj.data : null,
+                                       result, record.origin));
+    }
+    this.restored = true;
+  }
+
+  /**
+   * Applies a remote commit to the DB in a single atomic batch, merging it
+   * with any local changes.
+   */
+  _replay(device: string, commit: Object) {
+    let origin = {device: device, version: commit.version};
+    let referenced =
+        commit.changes.filter((c) => c.collection != "transactions");
+    let txns = commit.changes.filter((c) => c.collection == "transactions");
+
+    this.db._replayAtomic(origin, () => {
+      // Accounts (and payees) must exist before transactions can refer to
+      // them, and can't be deleted until the transactions referring to them
+      // are gone.
+      for (let change of referenced) {
+        if (change.after) { this._apply(change, origin); }
+      }
+      for (let change of txns) {
+        this._apply(change, origin);
+      }
+      for (let change of referenced) {
+        if (!change.after) { this._apply(change, origin); }
+      }
+    });
+  }
+
+  /**
+   * Three-way merges a single remote change into the local data.  The common
+   * ancestor is the data the remote device had before its change, unless an
+   * earlier change to the same object is still in conflict and the remote
+   * device made this one without seeing our version: then the common ancestor
+   * is still the base of the conflict.
+   */
+  _apply(change: Object, origin: Object) {
+    let isAccount = change.collection == "accounts";
+    let isTransaction = change.collection == "transactions";
+    let obj = this.db._getObject(change.collection, change.key);
+    let ours = obj ? obj.data : null;
+    let conflict = this.conflicts.find((c) =>
+        c.collection == change.collection && c.key == change.key);
+    if (conflict && !dataEquals(change.before, ours)) {
+      change = {collection: change.collection, key: change.key,
+                before: conflict.base, after: change.after};
+    }
+    let result = Merges[change.collection](change.before, ours, change.after);
+    let named = result.data && change.collection == "payees" ?
+        this.db._payeeWithName(result.data.name) : null;
+    let parent = isAccount && result.data && result.data.parent_guid ?
+        this.db.getAccountByGuid(result.data.parent_guid) : null;
+
+    if (result.conflicts.length == 0 && result.data && isTransaction &&
+        !this.db.transactionIsValid(result.data)) {
+      // For example, it refers to an account that was deleted here.
+      result = new MergeResult(ours, ["invalid"]);
+    } else if (result.conflicts.length == 0 && !result.data && obj &&
+               isAccount && obj._deleteError()) {
+      // For example, it has transactions that were added here.
+      result = new MergeResult(ours, ["invalid"]);
+    } else if (result.conflicts.length == 0 && isTransaction &&
+               !dataEquals(result.data, ours) &&
+               this.db._periodLockError(ours, result.data)) {
+      // It changes a period that was closed here.
+      result = new MergeResult(ours, ["invalid"]);
+    } else if (result.conflicts.length == 0 && named && named !== obj) {
+      // Another payee here has the same name.
+      result = new MergeResult(ours, ["invalid"]);
+    } else if (result.conflicts.length == 0 && parent &&
+               Account._isOpenUnderClosed(result.data, parent)) {
+      // It is open, but its parent was closed here.
+      result = new MergeResult(ours, ["invalid"]);
+    }
+
+    if (result.conflicts.length > 0) {
+      // A newer change to the same object replaces the earlier conflict.
+      let newConflict = new Conflict(this, change, ours, result, origin);
+      if (conflict) {
+        this.conflicts[this.conflicts.indexOf(conflict)] = newConflict;
+      } else {
+        this.conflicts.push(newConflict);
+      }
+      this.db._logInCommit("conflicts", [newConflict._toRecord()]);
+      return;
+    }
+
+    if (conflict) {
+      // The newer change merges cleanly, which settles the conflict.
+      this._removeConflict(conflict, true);
+      this.db._logInCommit("resolved", [{collection: change.collection,
+                                         key: change.key}]);
+    }
+
+    if (dataEquals(result.data, ours)) {
+      return;
+    }
+
+    this.db._setObjectData(change.collection, change.key, clone(result.data));
+  }
+
+  _removeConflict(conflict: Conflict, quiet: ?boolean) {
+    let i = this.conflicts.indexOf(conflict);
+    if (i != -1) {
+      this.conflicts.splice(i, 1);
+      if (!quiet) {
+        this._notifySubscribers();
+      }
+    }
+  }
+}
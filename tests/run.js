@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Runs tests.js under Node (with no browser), against the
+ * in-memory storage, along with the Node-only tests.  Usage:
+ *
+ *   $ npm test
+ */
+
+var fs = require("fs");
+var path = require("path");
+var QUnit = require("qunitjs");
+
+// In a browser QUnit exports its assertions as globals, and tests.js relies
+// on this.
+["ok", "notOk", "equal", "notEqual", "deepEqual", "notDeepEqual",
+ "strictEqual", "notStrictEqual", "throws"].forEach(function(name) {
+  global[name] = QUnit[name];
+});
+
+// Resolve imports the same way webpack does (see modulesDirectories in
+// gulpfile.js), except that "qunit" comes from npm instead of bower.
+require("babel-core/register")({
+  resolveModuleSource: function(source, filename) {
+    if (source == "qunit") {
+      return "qunitjs";
+    }
+
+    var modelPath = path.join(__dirname, "..", "model", source + ".js");
+    if (source.indexOf("/") == -1 && fs.existsSync(modelPath)) {
+      return modelPath;
+    }
+
+    return source;
+  }
+});
+
+QUnit.log(function(details) {
+  if (!details.result) {
+    var msg = "FAIL: " + details.module + " > " + details.name;
+    if (details.message) {
+      msg += ": " + details.message;
+    }
+    if (details.expected !== undefined) {
+      msg += " (expected: " + details.expected +
+             ", actual: " + details.actual + ")";
+    }
+    console.error(msg);
+    if (details.source) {
+      console.error(details.source);
+    }
+  }
+});
+
+QUnit.testDone(function(details) {
+  process.stdout.write((details.failed ? "not ok " : "ok ") +
+                       details.name + "\n");
+});
+
+QUnit.done(function(details) {
+  process.stdout.write(details.passed + " assertions passed, " +
+                       details.failed + " failed (" + details.runtime +
+                       "ms)\n");
+  process.exit(details.failed ? 1 : 0);
+});
+
+// The model logs progress as it loads; keep the test output readable.
+console.log = function() {};
+
+require("./tests.js");
+require("./syncTests.js");
+
+QUnit.load();
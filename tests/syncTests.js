@@ -0,0 +1,445 @@
+// Tests for syncing between devices.  These sync through a local directory,
+// so unlike tests.js they only run under Node (see run.js).
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as model from 'model';
+import * as qunit from 'qunit';
+import { MemoryStorage } from 'storage';
+import { Sync } from 'sync';
+import { LocalDirectoryFileStore } from 'localDirectoryFileStore';
+
+// Opens the DB for the given device, which must not be open already.
+function openDevice(device) {
+  return model.DB.open(new MemoryStorage(device));
+}
+
+function newFileStore() {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), "dblbook-sync-"));
+  return new LocalDirectoryFileStore(dir);
+}
+
+// Runs a test with a new, empty file store, which is removed afterwards.
+function syncTest(name, func) {
+  qunit.test(name, function(assert) {
+    let done = assert.async();
+    let fileStore = newFileStore();
+    let finish = function() {
+      fs.rmSync(fileStore.dir, {recursive: true, force: true});
+      done();
+    }
+    Promise.all([
+      model.DB.delete(new MemoryStorage("laptop")),
+      model.DB.delete(new MemoryStorage("desktop")),
+    ]).then(function() {
+      return func(fileStore, assert);
+    }).then(finish, function(err) {
+      qunit.ok(false, "Error: " + err);
+      finish();
+    });
+  });
+}
+
+function getSingleArrayValue(array) {
+  qunit.equal(array.length, 1, "Array has exactly one element");
+  return array[0];
+}
+
+// Returns a promise for the balance of the account, once the transactions it
+// needs are loaded.
+function balance(account) {
+  let reader = account.newBalanceReader({frequency: "FOREVER"});
+  return new Promise(function(resolve) {
+    model.Observable.whenLoaded([reader], function() {
+      let ret = reader.getPoints()[0].endBalance.toString();
+      reader.close();
+      resolve(ret);
+    });
+  });
+}
+
+// Checks the balances of several accounts, given as [account, expected] pairs.
+function checkBalances(balances, message) {
+  return Promise.all(balances.map((pair) => balance(pair[0])))
+      .then(function(actual) {
+    for (let i = 0; i < balances.length; i++) {
+      equal(actual[i], balances[i][1], message);
+    }
+  });
+}
+
+syncTest("push and pull", function(fileStore, assert) {
+  let guids = {};
+  let db;
+
+  return openDevice("laptop").then(function(laptop) {
+    db = laptop;
+    let checking = db.createAccount({name: "Checking", type: "ASSET"});
+    let food = db.createAccount({name: "Food", type: "EXPENSE"});
+    let groceries = db.createAccount(
+        {name: "Groceries", type: "EXPENSE", parent_guid: food.data.guid});
+    guids.checking = checking.data.guid;
+    guids.food = food.data.guid;
+    guids.groceries = groceries.data.guid;
+
+    guids.txn = db.createTransaction({
+      description: "Safeway",
+      date: "2015-09-25",
+      entry: [
+        {"account_guid": guids.checking, "amount": {"USD": "-123.45"}},
+        {"account_guid": guids.groceries, "amount": {"USD": "123.45"}},
+      ]
+    }).data.guid;
+
+    return new Sync(db, fileStore, "laptop").push();
+  }).then(function(count) {
+    equal(count, 4, "pushed all local commits");
+    return new Sync(db, fileStore, "laptop").push();
+  }).then(function(count) {
+    equal(count, 0, "nothing left to push");
+    db.close();
+    return openDevice("desktop");
+  }).then(function(desktop) {
+    db = desktop;
+    let notified = 0;
+    let reader = db.getNominalRoot().newBalanceReader({frequency: "FOREVER"});
+    reader.subscribe(this, function() { notified++; });
+
+    let sync = new Sync(db, fileStore, "desktop");
+    return sync.pull().then(function(count) {
+      equal(count, 4, "pulled all remote commits");
+      equal(db.getRealRoot().children.size, 1);
+      let food = db.getAccountByGuid(guids.food);
+      qunit.ok(food.children.get("Groceries"), "account tree replicated");
+      qunit.ok(notified > 0, "open reader was notified");
+      equal(reader.getPoints()[0].endBalance.toString(), "$123.45");
+      reader.close();
+      return checkBalances([
+        [food, "$123.45"],
+        [db.getAccountByGuid(guids.checking), "-$123.45"],
+      ], "sums replicated");
+    }).then(function() {
+      return sync.pull();
+    }).then(function(count) {
+      equal(count, 0, "commits are only replayed once");
+      return sync.push();
+    }).then(function(count) {
+      equal(count, 0, "replayed commits are not pushed back");
+      return db.getTransactionByGuid(guids.txn);
+    }).then(function(txn) {
+      // Make some changes on this device too.
+      txn.update({
+        description: "Safeway",
+        date: "2015-09-25",
+        entry: [
+          {"account_guid": guids.checking, "amount": {"USD": "-100.00"}},
+          {"account_guid": guids.food, "amount": {"USD": "100.00"}},
+        ]
+      });
+      db.getAccountByGuid(guids.groceries).delete();
+
+      return sync.sync();
+    });
+  }).then(function() {
+    db.close();
+    return openDevice("laptop");
+  }).then(function(laptop) {
+    db = laptop;
+    return new Sync(db, fileStore, "laptop").sync();
+  }).then(function() {
+    let food = db.getAccountByGuid(guids.food);
+    equal(food.children.size, 0, "account deletion replicated");
+    return checkBalances([
+      [food, "$100.00"],
+      [db.getAccountByGuid(guids.checking), "-$100.00"],
+    ], "transaction update replicated");
+  }).then(function() {
+    db.close();
+  });
+});
+
+// Creates some accounts and a transaction on the laptop, and syncs them to the
+// desktop.  Returns a promise for their guids.
+function setUpDevices(fileStore) {
+  let guids = {};
+
+  return openDevice("laptop").then(function(db) {
+    let newAccount = (name, type) => db.createAccount({name, type}).data.guid;
+    guids.checking = newAccount("Checking", "ASSET");
+    guids.food = newAccount("Food", "EXPENSE");
+    guids.fun = newAccount("Fun", "EXPENSE");
+    guids.txn = db.createTransaction({
+      description: "Safeway",
+      date: "2015-09-25",
+      entry: [
+        {"account_guid": guids.checking, "amount": {"USD": "-10.00"}},
+        {"account_guid": guids.food, "amount": {"USD": "10.00"}},
+      ]
+    }).data.guid;
+    return new Sync(db, fileStore, "laptop").push().then(function() {
+      db.close();
+      return openDevice("desktop");
+    });
+  }).then(function(db) {
+    return new Sync(db, fileStore, "desktop").pull().then(function() {
+      db.close();
+      return guids;
+    });
+  });
+}
+
+syncTest("merge changes to different fields and entries", function(fileStore) {
+  let guids;
+  let mergedData;
+
+  return setUpDevices(fileStore).then(function(g) {
+    guids = g;
+    return openDevice("desktop");
+  }).then(function(db) {
+    return db.getTransactionByGuid(guids.txn);
+  }).then(function(txn) {
+    let db = txn.db;
+    txn.update({
+      description: "Safeway",
+      date: "2015-09-25",
+      entry: [
+        {"account_guid": guids.checking, "amount": {"USD": "-10.00"}},
+        {"account_guid": guids.food, "amount": {"USD": "6.00"}},
+        {"account_guid": guids.fun, "amount": {"USD": "4.00"}},
+      ]
+    });
+    return new Sync(db, fileStore, "desktop").sync().then(() => db.close());
+  }).then(function() {
+    return openDevice("laptop");
+  }).then(function(db) {
+    return db.getTransactionByGuid(guids.txn);
+  }).then(function(txn) {
+    let db = txn.db;
+    // Edited offline, before seeing the desktop's change.
+    txn.update({
+      description: "Safeway and movie",
+      date: "2015-09-25",
+      entry: [
+        {"account_guid": guids.checking, "amount": {"USD": "-10.00"}},
+        {"account_guid": guids.food, "amount": {"USD": "10.00"}},
+      ]
+    });
+
+    let sync = new Sync(db, fileStore, "laptop");
+    return sync.sync().then(function() {
+      equal(sync.getConflicts().length, 0, "no conflicts");
+      let txn = db.transactionsByGuid.get(guids.txn);
+      equal(txn.data.description, "Safeway and movie", "kept our field");
+      equal(txn.data.entry.length, 3, "took their entries");
+      mergedData = txn.data;
+      return checkBalances([
+        [db.getAccountByGuid(guids.food), "$6.00"],
+        [db.getAccountByGuid(guids.fun), "$4.00"],
+      ]);
+    }).then(function() {
+      db.close();
+      return openDevice("desktop");
+    });
+  }).then(function(db) {
+    let sync = new Sync(db, fileStore, "desktop");
+    return sync.sync().then(function() {
+      equal(sync.getConflicts().length, 0, "no conflicts");
+      return db.getTransactionByGuid(guids.txn);
+    }).then(function(txn) {
+      qunit.deepEqual(txn.data, mergedData, "both devices converged");
+      db.close();
+    });
+  });
+});
+
+syncTest("conflicts", function(fileStore, assert) {
+  let guids;
+
+  let txnData = function(description) {
+    return {
+      description: description,
+      date: "2015-09-25",
+      entry: [
+        {"account_guid": guids.checking, "amount": {"USD": "-10.00"}},
+        {"account_guid": guids.food, "amount": {"USD": "10.00"}},
+      ]
+    };
+  }
+
+  return setUpDevices(fileStore).then(function(g) {
+    guids = g;
+    return openDevice("desktop");
+  }).then(function(db) {
+    return db.getTransactionByGuid(guids.txn);
+  }).then(function(txn) {
+    let db = txn.db;
+    txn.update(txnData("Desktop"));
+    return new Sync(db, fileStore, "desktop").sync().then(() => db.close());
+  }).then(function() {
+    return openDevice("laptop");
+  }).then(function(db) {
+    return db.getTransactionByGuid(guids.txn);
+  }).then(function(txn) {
+    let db = txn.db;
+    txn.update(txnData("Laptop"));
+
+    let sync = new Sync(db, fileStore, "laptop");
+    let notified = 0;
+    sync.subscribe(this, function() { notified++; });
+
+    return sync.pull().then(function() {
+      let conflict = getSingleArrayValue(sync.getConflicts());
+      equal(notified, 1, "subscribers notified of conflicts");
+      equal(conflict.key, guids.txn);
+      qunit.deepEqual(conflict.conflicts, ["description"]);
+      equal(conflict.base.description, "Safeway");
+      equal(conflict.ours.description, "Laptop");
+      equal(conflict.theirs.description, "Desktop");
+      equal(db.transactionsByGuid.get(guids.txn).data.description, "Laptop",
+            "local version stays until the conflict is resolved");
+
+      let unbalanced = txnData("Unbalanced");
+      unbalanced.entry[0].amount = {"USD": "-5.00"};
+      assert.throws(function() { conflict.resolve(unbalanced); },
+                    "resolution must be a valid transaction");
+
+      conflict.takeOurs();
+      equal(sync.getConflicts().length, 0, "conflict resolved");
+      equal(notified, 2);
+      return sync.push();
+    }).then(function(count) {
+      equal(count, 2, "resolution is pushed");
+      db.close();
+      return openDevice("desktop");
+    });
+  }).then(function(db) {
+    let sync = new Sync(db, fileStore, "desktop");
+    return sync.pull().then(function() {
+      equal(sync.getConflicts().length, 0, "resolution applies cleanly");
+      return db.getTransactionByGuid(guids.txn);
+    }).then(function(txn) {
+      equal(txn.data.description, "Laptop");
+      db.close();
+    });
+  });
+});
+
+syncTest("conflicts stay open until resolved", function(fileStore) {
+  let guids;
+
+  let edit = function(device, fields) {
+    return openDevice(device).then(function(db) {
+      return db.getTransactionByGuid(guids.txn).then(function(txn) {
+        txn.update(Object.assign({}, txn.data, fields));
+        return new Sync(db, fileStore, device).sync();
+      }).then(() => db.close());
+    });
+  }
+
+  // Pulls on the laptop with a new Sync, like after a restart.
+  let pull = function(func) {
+    return openDevice("laptop").then(function(db) {
+      let sync = new Sync(db, fileStore, "laptop");
+      return sync.pull().then(function() {
+        return db.getTransactionByGuid(guids.txn);
+      }).then(function(txn) {
+        func(sync, txn);
+        return db.flush();
+      }).then(() => db.close());
+    });
+  }
+
+  return setUpDevices(fileStore).then(function(g) {
+    guids = g;
+    return edit("desktop", {description: "Desktop"});
+  }).then(function() {
+    return edit("laptop", {description: "Laptop"});
+  }).then(function() {
+    // Edited again before seeing the laptop's change.
+    return edit("desktop", {date: "2015-09-26"});
+  }).then(function() {
+    return pull(function(sync, txn) {
+      let conflict = getSingleArrayValue(sync.getConflicts());
+      equal(conflict.base.description, "Safeway",
+            "the newer change is merged from the original base");
+      equal(conflict.theirs.description, "Desktop");
+      equal(conflict.theirs.date, "2015-09-26", "theirs has both changes");
+      equal(txn.data.description, "Laptop");
+      equal(txn.data.date, "2015-09-25");
+    });
+  }).then(function() {
+    return pull(function(sync, txn) {
+      let conflict = getSingleArrayValue(sync.getConflicts());
+      equal(conflict.theirs.date, "2015-09-26", "restored after a restart");
+      equal(conflict.ours.description, "Laptop");
+      qunit.deepEqual(conflict.conflicts, ["description"]);
+      conflict.takeTheirs();
+      equal(txn.data.description, "Desktop");
+      equal(txn.data.date, "2015-09-26");
+    });
+  }).then(function() {
+    return pull(function(sync, txn) {
+      equal(sync.getConflicts().length, 0, "resolution is remembered");
+    });
+  });
+});
+
+syncTest("edits to a closed period conflict", function(fileStore) {
+  let guids;
+
+  return setUpDevices(fileStore).then(function(g) {
+    guids = g;
+    return openDevice("desktop");
+  }).then(function(db) {
+    return db.getTransactionByGuid(guids.txn);
+  }).then(function(txn) {
+    let db = txn.db;
+    txn.update(Object.assign({}, txn.data, {description: "Desktop"}));
+    return new Sync(db, fileStore, "desktop").sync().then(() => db.close());
+  }).then(function() {
+    return openDevice("laptop");
+  }).then(function(db) {
+    let retained = db.createAccount({name: "Retained", type: "EQUITY"});
+    return db.closePeriod("2015-12-31", retained).then(function() {
+      let sync = new Sync(db, fileStore, "laptop");
+      return sync.pull().then(function() {
+        let conflict = getSingleArrayValue(sync.getConflicts());
+        equal(conflict.key, guids.txn);
+        qunit.deepEqual(conflict.conflicts, ["invalid"]);
+        return db.getTransactionByGuid(guids.txn);
+      }).then(function(txn) {
+        equal(txn.data.description, "Safeway", "closed period is unchanged");
+        db.close();
+      });
+    });
+  });
+});
+
+syncTest("payees", function(fileStore) {
+  let guids;
+  let amazon;
+
+  return setUpDevices(fileStore).then(function(g) {
+    guids = g;
+    return openDevice("laptop");
+  }).then(function(db) {
+    amazon = db.createPayee({name: "Amazon", alias: ["^AMZN"]}).data.guid;
+    db.createPayee({name: "Safeway"});
+    return new Sync(db, fileStore, "laptop").sync().then(() => db.close());
+  }).then(function() {
+    return openDevice("desktop");
+  }).then(function(db) {
+    // Made here before seeing the laptop's.
+    db.createPayee({name: "safeway"});
+    let sync = new Sync(db, fileStore, "desktop");
+    return sync.pull().then(function() {
+      equal(db.matchPayee("AMZN Digital").data.guid, amazon, "payees sync");
+      let conflict = getSingleArrayValue(sync.getConflicts());
+      qunit.deepEqual(conflict.conflicts, ["invalid"],
+                      "payees with the same name conflict");
+      equal(conflict.collection, "payees");
+      db.close();
+    });
+  });
+});
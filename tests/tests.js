@@ -1,11 +1,20 @@
 
 import * as model from 'model';
 import * as qunit from 'qunit';
+import * as storage from 'storage';
+import { MemoryStorage } from 'storage';
+import { mergeAccount, mergeTransaction } from 'merge';
+import { importLedger } from 'importLedger';
+import { importBanklet } from 'importBanklet';
+
+// In a browser we test against the real (default) IndexedDB storage.  Under
+// Node (see run.js) there is no IndexedDB, so we use an in-memory store.
+if (typeof indexedDB == "undefined") {
+  model.DB.backend = MemoryStorage;
+}
 
-// Makes the database forget that one has been previously constructed, to work
-// around the code that enforces singleton.  This is necessary for tests where
-// we want to verify that the DB was persisted correctly.
-function forget() { model.DB.singleton = undefined; }
+// The book that tests run against, so they don't touch the default book.
+var BOOK = "test";
 
 // Add account defaults.
 var act = function(data) {
@@ -17,18 +26,30 @@ var act = function(data) {
 
 function runTestWithDb(func, assert) {
   var done = assert.async();
-  model.DB.open().then(function(db) {
+  model.DB.open(BOOK).then(function(db) {
     qunit.ok(db instanceof model.DB, "created object is DB");
-    func(db, assert);
-    db.close();
-    done();
-  }, function(error) {
+    // Tests that need to wait for something before the DB is closed can
+    // return a promise.
+    return Promise.resolve(func(db, assert)).then(function() {
+      return db.flush();
+    }).then(function() {
+      db.close();
+      done();
+    });
+  }).then(null, function(error) {
     console.log(error);
-    qunit.ok(false);
+    qunit.ok(false, "Error: " + error);
     done();
   });
 }
 
+function merge(obj1, obj2) {
+  var ret = {};
+  for (var attrname in obj1) { ret[attrname] = obj1[attrname]; }
+  for (var attrname in obj2) { ret[attrname] = obj2[attrname]; }
+  return ret;
+}
+
 function arrayFrom(iter) {
   var ret = [];
   while (1) {
@@ -55,9 +76,8 @@ function dbtest(name, func) {
     var done = assert.async();
 
     // First delete the entire indexeddb.
-    model.DB.delete().then(function() {
+    model.DB.delete(BOOK).then(function() {
       // Next open a fresh DB from scratch.
-      forget();
       runTestWithDb(func, assert);
       done();
     });
@@ -65,12 +85,15 @@ function dbtest(name, func) {
 }
 
 function TEST(name, func) {
-  dbtest(name, func);
+  dbtest(name,
+    (db, assert) => { model.test_AllSums(); return func(db, assert) }
+  );
   dbtest(name + ".nodaysums",
-    (db, assert) => { model.test_NoDaySums(); func(db, assert) }
+    (db, assert) => { model.test_AllSums(); model.test_NoDaySums();
+                      return func(db, assert) }
   );
   dbtest(name + ".nosums",
-    (db, assert) => { model.test_NoSums(); func(db, assert) }
+    (db, assert) => { model.test_NoSums(); return func(db, assert) }
   );
 }
 
@@ -123,21 +146,45 @@ qunit.test("account validity", function() {
 TEST("empty DB", function(db) {
   qunit.ok(db.getRealRoot().children.size == 0, "empty db has no accounts");
   qunit.ok(db.getNominalRoot().children.size == 0, "empty db has no accounts");
+  qunit.ok(db.getEquityRoot().children.size == 0, "empty db has no accounts");
 });
 
-TEST("multiple DBs not allowed", function(db, assert) {
-  var err = false;
-  var done = assert.async();
-  try {
-    model.DB.open().then(function(db) {
-      qunit.ok(false);
-      done();
-    }, function() {
-      err = true;
-    });
-  } catch (e) {
-    done();
-  }
+TEST("several books open at once", function(db, assert) {
+  db.createAccount(act({"name":"Personal"}));
+  var business;
+
+  return model.DB.open("").then(function() {
+    qunit.ok(false, "books need a name");
+  }, function(err) {
+    qunit.ok(/book name/.test(err), "books need a name");
+    return model.DB.delete("");
+  }).then(function() {
+    qunit.ok(false, "books need a name to be deleted");
+  }, function(err) {
+    qunit.ok(/book name/.test(err), "books need a name to be deleted");
+    return model.DB.delete("test-business");
+  }).then(function() {
+    return model.DB.open("test-business");
+  }).then(function(db2) {
+    business = db2;
+    business.createAccount(act({"name":"Business"}));
+    equal(db.getRealRoot().children.size, 1, "books are separate");
+    qunit.ok(db.getRealRoot().children.has("Personal"));
+    equal(business.getRealRoot().children.size, 1, "books are separate");
+    qunit.ok(business.getRealRoot().children.has("Business"));
+    return business.flush();
+  }).then(function() {
+    return model.DB.list();
+  }).then(function(names) {
+    qunit.ok(names.indexOf(BOOK) != -1, "books are listed");
+    qunit.ok(names.indexOf("test-business") != -1, "books are listed");
+    business.close();
+    return model.DB.delete("test-business");
+  }).then(function() {
+    return model.DB.list();
+  }).then(function(names) {
+    equal(names.indexOf("test-business"), -1, "deleted books aren't listed");
+  });
 });
 
 TEST("CRUD account", function(db) {
@@ -269,8 +316,6 @@ TEST("restore data from IDB", function(db, assert) {
     ]
   });
 
-  forget();
-
   runTestWithDb(function(db2, assert) {
     qunit.ok(db2 instanceof model.DB, "created object is DB");
     var root = db2.getRealRoot();
@@ -300,6 +345,1474 @@ TEST("restore data from IDB", function(db, assert) {
   }, assert);
 })
 
+TEST("upgrade stored data to a new schema version", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var food = db.createAccount({"name":"Food", "type":"EXPENSE"});
+  var txn = db.createTransaction({
+    description: "Groceries",
+    date: "2015-09-23",
+    entry: [
+      {"account_guid": checking.data.guid, "amount": {"USD": "-5.00"}},
+      {"account_guid": food.data.guid, "amount": {"USD": "5.00"}},
+    ]
+  });
+  var sums = db.sumsByKey.size;
+
+  // Two new versions: the first backfills a field and moves the sums to new
+  // keys, the second moves them back.
+  var rekey = function(from, to) {
+    return function(data) {
+      data.key = data.key.replace(from, to);
+      return data;
+    }
+  }
+  storage.Migrations.push(function(upgrade) {
+    upgrade.rewrite("transactions", function(data) {
+      data.memo = data.description.toLowerCase();
+      return data;
+    });
+    upgrade.rewrite("sums", rekey(/^/, "old;"));
+  });
+  storage.Migrations.push(function(upgrade) {
+    upgrade.rewrite("sums", rekey(/^old;/, ""));
+  });
+
+  var db2;
+  var balance;
+
+  return db.flush().then(function() {
+    db.close();
+    return model.DB.open(BOOK);
+  }).then(function(db) {
+    db2 = db;
+    equal(db2.sumsByKey.size, sums, "sums keep their keys");
+    return db2.getTransactionByGuid(txn.data.guid);
+  }).then(function(txn2) {
+    equal(txn2.data.memo, "groceries", "new field is backfilled");
+    balance = db2.getAccountByGuid(food.data.guid).newBalanceReader(
+        {frequency: "FOREVER"});
+    return new Promise(function(resolve) {
+      model.Observable.whenLoaded([balance], resolve);
+    });
+  }).then(function() {
+    let val = getSingleArrayValue(balance.getPoints());
+    equal(val.endBalance.toString(), "$5.00", "balance is carried over");
+    balance.close();
+    db2.close();
+  }).then(function() {
+    storage.Migrations.splice(-2, 2);
+  }, function(error) {
+    storage.Migrations.splice(-2, 2);
+    throw error;
+  });
+})
+
+TEST("load transactions lazily", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var food = db.createAccount({"name":"Food", "type":"EXPENSE"});
+  var guids = [];
+
+  for (let date of ["2015-07-10", "2015-08-10", "2015-09-10"]) {
+    guids.push(db.createTransaction({
+      description: "Groceries " + date,
+      date: date,
+      entry: [
+        {"account_guid": checking.data.guid, "amount": {"USD": "-10.00"}},
+        {"account_guid": food.data.guid, "amount": {"USD": "10.00"}},
+      ]
+    }).data.guid);
+  }
+
+  var db2;
+  var reader;
+
+  return db.flush().then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(db) {
+    db2 = db;
+    equal(db2.transactionsByGuid.size, 0, "transactions aren't loaded at open");
+
+    var food2 = db2.getAccountByGuid(food.data.guid);
+    reader = food2.newEntryReader({endDate: "2015-09-30", count: 1});
+    var notified = 0;
+    reader.subscribe(this, function() { notified++; });
+    equal(reader.isLoaded(), false, "reader is waiting for its entries");
+
+    return new Promise(function(resolve) {
+      model.Observable.whenLoaded([reader], resolve);
+    }).then(function() {
+      qunit.ok(notified > 0, "reader was notified when its entries arrived");
+      let entry = getSingleArrayValue(reader.getEntries());
+      equal(entry.entry.txn.data.guid, guids[2]);
+      equal(entry.balance.toString(), "$30.00",
+            "balance includes prior months");
+      return db2.getTransactionByGuid(guids[0]);
+    });
+  }).then(function(txn) {
+    equal(txn.data.date, "2015-07-10", "transaction loaded by guid");
+    return db2.getTransactionByGuid("no such guid").then(function() {
+      qunit.ok(false, "nonexistent transaction should fail");
+    }, function() {
+      qunit.ok(true, "nonexistent transaction fails");
+    });
+  }).then(function() {
+    reader.close();
+    db2.close();
+  });
+})
+
+TEST("load only the transactions of an account", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var food = db.createAccount({"name":"Food", "type":"EXPENSE"});
+  var groceries = db.createAccount(
+      {"name":"Groceries", "type":"EXPENSE", "parent_guid": food.data.guid});
+  var fun = db.createAccount({"name":"Fun", "type":"EXPENSE"});
+
+  var newTxn = function(account, date) {
+    return db.createTransaction({
+      description: account.data.name,
+      date: date,
+      entry: [
+        {"account_guid": checking.data.guid, "amount": {"USD": "-10.00"}},
+        {"account_guid": account.data.guid, "amount": {"USD": "10.00"}},
+      ]
+    }).data.guid;
+  }
+
+  var groceriesGuid = newTxn(groceries, "2015-08-10");
+  var funGuid = newTxn(fun, "2015-09-10");
+
+  var db2;
+  var reader;
+
+  return db.flush().then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(db) {
+    db2 = db;
+    var food2 = db2.getAccountByGuid(food.data.guid);
+    reader = food2.newEntryReader({endDate: "2015-09-30", count: 1});
+    return new Promise(function(resolve) {
+      model.Observable.whenLoaded([reader], resolve);
+    });
+  }).then(function() {
+    let entry = getSingleArrayValue(reader.getEntries());
+    equal(entry.entry.txn.data.guid, groceriesGuid,
+          "parent account gets the entries of its descendants");
+    qunit.ok(db2.transactionsByGuid.has(groceriesGuid));
+    qunit.ok(!db2.transactionsByGuid.has(funGuid),
+             "transactions of other accounts aren't loaded");
+    reader.close();
+
+    var checking2 = db2.getAccountByGuid(checking.data.guid);
+    reader = checking2.newEntryReader({endDate: "2015-09-30", count: 2});
+    return new Promise(function(resolve) {
+      model.Observable.whenLoaded([reader], resolve);
+    });
+  }).then(function() {
+    equal(reader.getEntries().length, 2);
+    equal(db2.transactionsByGuid.size, 2, "each transaction is loaded once");
+    reader.close();
+    db2.close();
+  });
+})
+
+TEST("split sums of large windows", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var payroll = db.createAccount({"name":"Payroll", "type":"EXPENSE"});
+  var payrollGuid = payroll.data.guid;
+
+  // A batch of paychecks that is too large to read entry by entry.
+  db.atomic(function() {
+    for (var i = 0; i < 100; i++) {
+      db.createTransaction({
+        description: "Paycheck " + i,
+        date: "2015-09-25",
+        entry: [
+          {"account_guid": checking.data.guid, "amount": {"USD": "-1.00"}},
+          {"account_guid": payrollGuid, "amount": {"USD": "1.00"}},
+        ]
+      });
+    }
+  });
+
+  var hasSums = function(db) { return db.sumsByKey.size > 0; }
+
+  var checkReaders = function(db, message) {
+    var account = db.getAccountByGuid(payrollGuid);
+    var reader = account.newEntryReader({endDate: "2015-09-26", count: 5});
+    var balance = account.newBalanceReader({frequency: "FOREVER"});
+    return new Promise(function(resolve) {
+      model.Observable.whenLoaded([reader, balance], resolve);
+    }).then(function() {
+      var entries = reader.getEntries();
+      equal(entries.length, 5, message);
+      equal(entries[0].balance.toString(), "$96.00", message);
+      equal(entries[4].balance.toString(), "$100.00", message);
+
+      if (hasSums(db)) {
+        var listed = 0;
+        for (var amount of reader.initialSums) {
+          if (amount.getEntries) { listed += amount.getEntries().length; }
+        }
+        qunit.ok(listed <= 64, message + ": only few entries are read");
+      }
+      reader.close();
+
+      equal(balance.getPoints()[0].endBalance.toString(), "$100.00", message);
+      balance.close();
+    });
+  }
+
+  var db2;
+
+  return db.flush().then(function() {
+    var daySum = db.sumsByKey.get(payrollGuid + ";D;2015-09-25");
+    if (hasSums(db)) {
+      qunit.ok(daySum.split, "large window is split once flushed");
+    }
+    return checkReaders(db, "after split");
+  }).then(function() {
+    // Make the store look like one from before windows could be split: no
+    // split flags and no sums for the windows inside split windows.
+    var monthSplit = hasSums(db) &&
+        db.sumsByKey.get(payrollGuid + ";M;2015-09").split;
+    var batch = db.storage.newBatch();
+    for (var [key, sum] of arrayFrom(db.sumsByKey.iterator())) {
+      var granularity = key.split(";")[1];
+      if (granularity == "S" || (granularity == "D" && monthSplit)) {
+        batch.delete("sums", key);
+      } else if (sum.split) {
+        var data = sum.toModel();
+        delete data.split;
+        batch.put("sums", data);
+      }
+    }
+    return batch.commit();
+  }).then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(db) {
+    db2 = db;
+    return db2.flush();
+  }).then(function() {
+    if (hasSums(db2)) {
+      var daySum = db2.sumsByKey.get(payrollGuid + ";D;2015-09-25");
+      qunit.ok(daySum.split, "stored windows are split when opened");
+    }
+    return checkReaders(db2, "after migration");
+  }).then(function() {
+    db2.close();
+  });
+})
+
+TEST("verify and repair sums", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var food = db.createAccount({"name":"Food", "type":"EXPENSE"});
+  var groceries = db.createAccount(
+      {"name":"Groceries", "type":"EXPENSE", "parent_guid": food.data.guid});
+  var guid = groceries.data.guid;
+
+  // Enough transactions on one day that its window is split.
+  db.atomic(function() {
+    for (var i = 0; i < 40; i++) {
+      db.createTransaction({
+        description: "Safeway " + i,
+        date: "2015-09-25",
+        entry: [
+          {"account_guid": checking.data.guid, "amount": {"USD": "-1.00"}},
+          {"account_guid": guid, "amount": {"USD": "1.00"}},
+        ]
+      });
+    }
+  });
+
+  var balance = function(account) {
+    var reader = account.newBalanceReader({frequency: "FOREVER"});
+    return new Promise(function(resolve) {
+      model.Observable.whenLoaded([reader], function() {
+        var ret = reader.getPoints()[0].endBalance.toString();
+        reader.close();
+        resolve(ret);
+      });
+    });
+  }
+
+  var sumProblems = (problems) => problems.filter((p) => p.type == "sum");
+  var yearKey = food.data.guid + ";Y;2015";
+  var strayKey = guid + ";Y;1999";
+
+  return db.verify().then(function(problems) {
+    equal(problems.length, 0, "sums kept incrementally are right");
+
+    // Corrupt some sums, as a bug could.
+    db.atomic(function() {
+      if (db.sumsByKey.has(yearKey)) {
+        db._setSumData({key: yearKey, count: 3, amount: {"USD": "5.00"}});
+      }
+      db._setSumData({key: strayKey, count: 1, amount: {"USD": "1.00"}});
+    });
+
+    // And store some transactions that can't be loaded.
+    var batch = db.storage.newBatch();
+    batch.put("transactions", {
+      guid: "MISSING", description: "Missing account", date: "2015-09-26",
+      entry: [
+        {"account_guid": checking.data.guid, "amount": {"USD": "-1.00"}},
+        {"account_guid": "NO_SUCH_ACCOUNT", "amount": {"USD": "1.00"}},
+      ]
+    });
+    batch.put("transactions", {
+      guid: "UNBALANCED", description: "Unbalanced", date: "2015-09-26",
+      entry: [
+        {"account_guid": checking.data.guid, "amount": {"USD": "-1.00"}},
+        {"account_guid": guid, "amount": {"USD": "2.00"}},
+      ]
+    });
+    return batch.commit();
+  }).then(function() {
+    return db.verify();
+  }).then(function(problems) {
+    var txns = problems.filter((p) => p.type == "transaction");
+    assert.deepEqual(txns.map((p) => p.guid).sort(),
+                     ["MISSING", "UNBALANCED"], "bad transactions found");
+
+    var sums = sumProblems(problems);
+    var stray = sums.find((p) => p.key == strayKey);
+    equal(stray.expected.count, 0, "stray sum should be zero");
+    equal(stray.actual.count, 1);
+
+    if (db.sumsByKey.has(yearKey)) {
+      equal(sums.length, 2);
+      var year = sums.find((p) => p.key == yearKey);
+      equal(year.expected.count, 40);
+      assert.deepEqual(year.expected.amount, {"USD": "40.00"});
+      equal(year.actual.count, 3);
+      return balance(food).then(function(amount) {
+        equal(amount, "$5.00", "balance uses the bad sum");
+        return db.repair();
+      });
+    } else {
+      equal(sums.length, 1);
+      return db.repair();
+    }
+  }).then(function(problems) {
+    qunit.ok(sumProblems(problems).length > 0, "repair returns the problems");
+    equal(db.sumsByKey.get(strayKey).count, 0, "stray sum is zeroed");
+    return balance(food);
+  }).then(function(amount) {
+    equal(amount, "$40.00", "balance is right after repair");
+    return db.verify();
+  }).then(function(problems) {
+    equal(sumProblems(problems).length, 0, "repaired sums are stored");
+    equal(problems.length, 2, "bad transactions are left alone");
+  });
+});
+
+TEST("move an account with its transactions", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var food = db.createAccount({"name":"Food", "type":"EXPENSE"});
+  var fun = db.createAccount({"name":"Fun", "type":"EXPENSE"});
+  var groceries = db.createAccount(
+      {"name":"Groceries", "type":"EXPENSE", "parent_guid": food.data.guid});
+  var snacks = db.createAccount({"name":"Snacks", "type":"EXPENSE",
+                                 "parent_guid": groceries.data.guid});
+
+  var txn = function(date, entries) {
+    var entry = entries.map(function(pair) {
+      return {"account_guid": pair[0].data.guid, "amount": {"USD": pair[1]}};
+    });
+    db.createTransaction({description: "Txn", date: date, entry: entry});
+  }
+
+  txn("2015-08-01", [[checking, "-10.00"], [groceries, "10.00"]]);
+  txn("2015-09-25", [[checking, "-5.00"], [fun, "5.00"]]);
+  txn("2015-09-25", [[checking, "-5.00"], [snacks, "3.00"], [fun, "2.00"]]);
+
+  var guids = {food: food.data.guid, fun: fun.data.guid,
+               groceries: groceries.data.guid, snacks: snacks.data.guid};
+
+  var checkBalances = function(db, expected, message) {
+    var accounts = ["food", "fun", "groceries"].map(
+        (name) => db.getAccountByGuid(guids[name]));
+    return Promise.all(accounts.map(balance)).then(function(actual) {
+      assert.deepEqual(actual, expected, message);
+      return db.verify();
+    }).then(function(problems) {
+      equal(problems.length, 0, message + ": sums are consistent");
+    });
+  }
+
+  throws(function() {
+    food.update({"name":"Food", "type":"EXPENSE",
+                 "parent_guid": groceries.data.guid});
+  }, "can't move an account into its own subtree");
+
+  var db2;
+
+  return checkBalances(db, ["$13.00", "$7.00", "$13.00"], "before").then(
+      function() {
+    var reader = fun.newEntryReader({endDate: "2015-09-26", count: 10});
+    var fired = 0;
+    reader.subscribe(this, function() { fired++; });
+
+    groceries.update({"name":"Groceries", "type":"EXPENSE",
+                      "parent_guid": fun.data.guid});
+    equal(groceries.parent, fun, "moved right away when loaded");
+    equal(food.children.size, 0);
+
+    qunit.ok(fired > 0, "readers of the new parent are refreshed");
+    var entries = reader.getEntries();
+    equal(entries.length, 3, "one entry per transaction");
+    equal(entries[2].balance.toString(), "$20.00");
+    reader.close();
+    return checkBalances(db, ["0", "$20.00", "$13.00"], "after move");
+  }).then(function() {
+    db.undo();
+    equal(groceries.parent, food, "move can be undone");
+    return checkBalances(db, ["$13.00", "$7.00", "$13.00"], "after undo");
+  }).then(function() {
+    return db.flush();
+  }).then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(other) {
+    db2 = other;
+    var groceries2 = db2.getAccountByGuid(guids.groceries);
+    var fun2 = db2.getAccountByGuid(guids.fun);
+    throws(function() {
+      groceries2.update({"name":"Groceries", "type":"EXPENSE",
+                         "parent_guid": guids.fun});
+    }, /before its transactions/,
+       "update() doesn't move before transactions load");
+    throws(function() {
+      db2.atomic(function() {
+        groceries2.update({"name":"Grocery", "type":"EXPENSE"});
+        groceries2.update({"name":"Grocery", "type":"EXPENSE",
+                           "parent_guid": guids.fun});
+      });
+    }, /before its transactions/, "not even inside atomic()");
+    equal(groceries2.data.name, "Groceries", "the whole batch rolled back");
+    equal(groceries2.parent.data.name, "Food");
+
+    var moved = groceries2.moveTo(fun2);
+    equal(groceries2.parent.data.name, "Food",
+          "moveTo() waits for transactions to load");
+    return moved.then(function() {
+      equal(groceries2.parent, fun2);
+      return groceries2.moveTo(db2.getAccountByGuid(guids.snacks));
+    }).then(function() {
+      ok(false, "moved into its own subtree");
+    }, function(err) {
+      ok(/own subtree/.test(err), "moveTo() failures are rejections");
+    });
+  }).then(function() {
+    return checkBalances(db2, ["0", "$20.00", "$13.00"],
+                         "after loading move");
+  }).then(function() {
+    db2.close();
+  });
+});
+
+TEST("delete accounts", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var food = db.createAccount({"name":"Food", "type":"EXPENSE"});
+  var groceries = db.createAccount(
+      {"name":"Groceries", "type":"EXPENSE", "parent_guid": food.data.guid});
+  var guid = groceries.data.guid;
+
+  var txn = db.createTransaction({
+    description: "Safeway",
+    date: "2015-09-25",
+    entry: [
+      {"account_guid": checking.data.guid, "amount": {"USD": "-10.00"}},
+      {"account_guid": guid, "amount": {"USD": "10.00"}},
+    ]
+  });
+
+  throws(function() { db.getRealRoot().delete(); },
+         /root account/, "can't delete a root account");
+  throws(function() { food.delete(); },
+         /child accounts/, "can't delete an account with child accounts");
+  throws(function() { groceries.delete(); },
+         /transactions/, "can't delete an account with transactions");
+
+  var db2;
+
+  return db.flush().then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(other) {
+    db2 = other;
+    var groceries2 = db2.getAccountByGuid(guid);
+    equal(db2.transactionsByGuid.size, 0, "transaction is not loaded");
+    if (db2.sumsByKey.size > 0) {
+      throws(function() { groceries2.delete(); }, /transactions/,
+             "transactions that aren't loaded count too");
+    }
+    db2.close();
+
+    txn.delete();
+    groceries.delete();
+    equal(db.getAccountByGuid(guid), null, "account was deleted");
+    food.delete();
+    equal(db.getRealRoot().children.size, 1);
+  });
+});
+
+TEST("merge accounts", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var newAccount = function(name, parent) {
+    return db.createAccount({"name": name, "type": "EXPENSE",
+                             "parent_guid": parent && parent.data.guid});
+  }
+
+  // A duplicate of the Food tree, as an import could leave behind.
+  var food = newAccount("Food");
+  var groceries = newAccount("Groceries", food);
+  var food2 = newAccount("Food (imported)");
+  var groceries2 = newAccount("Groceries", food2);
+  var dining2 = newAccount("Dining", food2);
+
+  var txn = function(description, entries) {
+    var entry = [{"account_guid": checking.data.guid, "amount": {"USD": "0"}}];
+    var total = 0;
+    for (var [account, amount] of entries) {
+      entry.push({"account_guid": account.data.guid,
+                  "amount": {"USD": amount.toFixed(2)}});
+      total += amount;
+    }
+    entry[0].amount = {"USD": (-total).toFixed(2)};
+    return db.createTransaction(
+        {description: description, date: "2015-09-25", entry: entry});
+  }
+
+  txn("Safeway", [[groceries, 10]]);
+  var snack = txn("Snack", [[food2, 5]]).data.guid;
+  txn("Whole Foods and lunch", [[groceries2, 4], [dining2, 3]]);
+
+  var guids = {food: food.data.guid, food2: food2.data.guid,
+               groceries: groceries.data.guid};
+
+  throws(function() { food.mergeInto(groceries); }, /subtree/,
+         "can't merge an account into its own subtree");
+
+  var db2;
+
+  return db.flush().then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(other) {
+    // Merge in a fresh DB, so the transactions need to be loaded first.
+    db2 = other;
+    var food = db2.getAccountByGuid(guids.food);
+    return db2.getAccountByGuid(guids.food2).mergeInto(food);
+  }).then(function() {
+    var food = db2.getAccountByGuid(guids.food);
+    equal(db2.getAccountByGuid(guids.food2), null, "account was deleted");
+    equal(db2.transactionsByGuid.get(snack).data.entry[1].account_guid,
+          guids.food, "entries were rewritten");
+    equal(food.children.size, 2, "children were merged and moved");
+    equal(food.children.get("Groceries").data.guid, guids.groceries);
+    equal(db2.history.undoStack.length, 1, "merge is a single batch");
+
+    return Promise.all([
+      balance(food),
+      balance(food.children.get("Groceries")),
+      balance(food.children.get("Dining")),
+      db2.verify(),
+    ]);
+  }).then(function([food, groceries, dining, problems]) {
+    equal(food, "$22.00");
+    equal(groceries, "$14.00");
+    equal(dining, "$3.00");
+    equal(problems.length, 0, "sums are consistent");
+
+    db2.undo();
+    equal(db2.getAccountByGuid(guids.food2).children.size, 2,
+          "merge can be undone");
+    return balance(db2.getAccountByGuid(guids.food));
+  }).then(function(food) {
+    equal(food, "$10.00");
+    return db2.flush();
+  }).then(function() {
+    db2.close();
+  });
+});
+
+TEST("close and archive accounts", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var savings = db.createAccount(act({"name":"Savings"}));
+  var old = db.createAccount(act({"name":"Old"}));
+  var sub = db.createAccount(act({"name":"Sub", "parent_guid": old.data.guid}));
+
+  var transfer = function(date, from, to, amount) {
+    return db.createTransaction({
+      "description": "Transfer",
+      "date": date,
+      "entry": [
+        {"account_guid": from.data.guid, "amount": {"USD": "-" + amount}},
+        {"account_guid": to.data.guid, "amount": {"USD": amount}},
+      ]
+    });
+  }
+
+  transfer("2015-09-01", checking, sub, "10.00");
+
+  var rejects = function(promise, expected, message) {
+    return promise.then(function() {
+      ok(false, message);
+    }, function(err) {
+      ok(expected.test(err), message);
+    });
+  }
+
+  throws(function() {
+    sub.update(merge(sub.data, {"archived": true}));
+  }, /invalid account/, "only closed accounts can be archived");
+
+  return rejects(old.close("2015-10-01"), /child accounts/,
+                 "child accounts must be closed first").then(function() {
+    return rejects(sub.close("10/01/2015"), /invalid close date/,
+                   "close dates are validated");
+  }).then(function() {
+    return rejects(sub.close("2015-10-01"), /nonzero balance/,
+                   "account must have a zero balance");
+  }).then(function() {
+    transfer("2015-09-15", sub, checking, "10.00");
+    transfer("2015-10-15", checking, sub, "1.00");
+    return rejects(sub.close("2015-10-01"), /after the close date/,
+                   "account can't have later entries");
+  }).then(function() {
+    transfer("2015-09-20", sub, checking, "1.00");
+    return rejects(sub.close("2015-10-01"), /after the close date/,
+                   "a zero balance doesn't excuse later entries");
+  }).then(function() {
+    return sub.close("2015-10-20", true);
+  }).then(function() {
+    equal(sub.data.close_date, "2015-10-20");
+    ok(sub.data.archived, "account was archived");
+
+    throws(function() { transfer("2015-10-21", checking, sub, "1.00"); },
+           /invalid transaction/, "no new entries after the close date");
+    ok(!db.transactionIsValid({
+      "description": "Transfer",
+      "date": "2015-10-21",
+      "entry": [
+        {"account_guid": sub.data.guid, "amount": {"USD": "-1.00"}},
+        {"account_guid": savings.data.guid, "amount": {"USD": "1.00"}},
+      ]
+    }));
+    transfer("2015-10-20", checking, sub, "2.00");
+    transfer("2015-10-20", sub, checking, "2.00");
+
+    return old.close("2015-10-20");
+  }).then(function() {
+    equal(old.data.close_date, "2015-10-20", "parent closed after its child");
+    ok(!old.data.archived, "closing doesn't imply archiving");
+
+    throws(function() { sub.reopen(); }, /closed one/,
+           "children can't be reopened before their parent");
+    throws(function() {
+      db.createAccount(act({"name":"New", "parent_guid": old.data.guid}));
+    }, /closed one/, "open accounts can't be added to closed ones");
+    throws(function() {
+      savings.update(merge(savings.data, {"parent_guid": old.data.guid}));
+    }, /closed one/, "or moved into them");
+
+    // Even if it was closed later than its parent.
+    sub.update(merge(sub.data, {"close_date": "2015-12-31"}));
+    ok(!db.transactionIsValid({
+      "description": "Transfer",
+      "date": "2015-11-01",
+      "entry": [
+        {"account_guid": sub.data.guid, "amount": {"USD": "-1.00"}},
+        {"account_guid": savings.data.guid, "amount": {"USD": "1.00"}},
+      ]
+    }), "no new entries after the close date of an ancestor");
+
+    return old.reopen();
+  }).then(function() {
+    return sub.reopen();
+  }).then(function() {
+    equal(sub.data.close_date, undefined, "account was reopened");
+    equal(sub.data.archived, undefined);
+    transfer("2015-10-21", checking, sub, "1.00");
+    return balance(sub);
+  }).then(function(sub) {
+    equal(sub, "$1.00");
+  });
+});
+
+TEST("equity accounts", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var opening = db.createAccount({"name":"Opening Balances", "type":"EQUITY"});
+  var salary = db.createAccount({"name":"Salary", "type":"INCOME"});
+
+  equal(opening.parent, db.getEquityRoot(),
+        "equity accounts have their own root");
+  equal(db.getRealRoot().children.size, 1);
+  ok(opening.isCreditNormal(), "equity is a credit balance");
+  ok(salary.isCreditNormal(), "income is a credit balance");
+  ok(!checking.isCreditNormal(), "assets are a debit balance");
+
+  db.createTransaction({
+    "description": "Opening balance",
+    "date": "2015-01-01",
+    "entry": [
+      {"account_guid": checking.data.guid, "amount": {"USD": "1000.00"}},
+      {"account_guid": opening.data.guid, "amount": {"USD": "-1000.00"}},
+    ]
+  });
+
+  ok(!db.transactionIsValid({
+    "description": "Opening balance",
+    "date": "2015-01-01",
+    "entry": [
+      {"account_guid": checking.data.guid, "amount": {"USD": "1000.00"}},
+      {"account_guid": "EQUITY_ROOT", "amount": {"USD": "-1000.00"}},
+    ]
+  }), "root accounts can't have entries");
+
+  return Promise.all([
+    balance(db.getRealRoot()),
+    balance(db.getEquityRoot()),
+    balance(db.getNominalRoot()),
+  ]).then(function([real, equity, nominal]) {
+    equal(real, "$1000.00", "opening balances count towards net worth");
+    equal(equity, "-$1000.00");
+    equal(nominal, "0", "opening balances aren't income");
+  });
+});
+
+TEST("close and reopen a period", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var salary = db.createAccount({"name":"Salary", "type":"INCOME"});
+  var food = db.createAccount({"name":"Food", "type":"EXPENSE"});
+  var groceries = db.createAccount(
+      {"name":"Groceries", "type":"EXPENSE", "parent_guid": food.data.guid});
+  var retained = db.createAccount(
+      {"name":"Retained Earnings", "type":"EQUITY"});
+
+  var txnData = function(date, entries) {
+    var entry = [];
+    for (var [account, amount] of entries) {
+      entry.push({"account_guid": account.data.guid,
+                  "amount": {"USD": amount}});
+    }
+    return {"description": "Test", "date": date, "entry": entry};
+  }
+  var txn = function(date, entries) {
+    return db.createTransaction(txnData(date, entries));
+  }
+
+  var paycheck =
+      txn("2015-03-01", [[checking, "1000.00"], [salary, "-1000.00"]]);
+  txn("2015-05-01",
+      [[checking, "-120.00"], [groceries, "100.00"], [food, "20.00"]]);
+  txn("2016-01-10", [[checking, "500.00"], [salary, "-500.00"]]);
+
+  throws(function() { db.closePeriod("2015-12-31", checking); }, /equity/,
+         "closing entries go to an equity account");
+  throws(function() { db.closePeriod("2015-12-31", db.getEquityRoot()); },
+         /equity/);
+  equal(db.getClosedDate(), null);
+
+  var guids = {paycheck: paycheck.data.guid, salary: salary.data.guid};
+  var db2;
+  var db3;
+
+  return db.reopenPeriod().then(function() {
+    ok(false, "reopened a period that isn't closed");
+  }, function(err) {
+    ok(/no closed period/.test(err), "no closed period to reopen");
+    return db.closePeriod("2015-12-31", retained);
+  }).then(function(closing) {
+    ok(closing.data.period_close, "closing transaction is marked");
+    equal(closing.data.date, "2015-12-31");
+    equal(closing.data.entry.length, 4, "one entry per account, plus equity");
+    equal(db.getClosedDate(), "2015-12-31");
+
+    throws(function() {
+      txn("2015-06-01", [[checking, "-5.00"], [food, "5.00"]]);
+    }, /closed period/, "can't add transactions to a closed period");
+    throws(function() {
+      paycheck.update(txnData("2015-03-01",
+          [[checking, "900.00"], [salary, "-900.00"]]));
+    }, /closed period/, "can't change transactions in a closed period");
+    throws(function() {
+      paycheck.update(txnData("2016-03-01",
+          [[checking, "1000.00"], [salary, "-1000.00"]]));
+    }, /closed period/, "can't move transactions out of a closed period");
+    throws(function() { paycheck.delete(); }, /closed period/);
+    throws(function() {
+      closing.update(merge(closing.data, {"description": "Closing"}));
+    }, /closed period/, "closing entries can't be changed");
+    throws(function() { db.closePeriod("2015-06-30", retained); },
+           /already closed/);
+    txn("2016-02-01", [[checking, "-5.00"], [food, "5.00"]]);
+
+    return Promise.all([
+      balance(salary),
+      balance(food),
+      balance(groceries),
+      balance(retained),
+      balance(checking),
+    ]);
+  }).then(function([salary, food, groceries, retained, checking]) {
+    equal(salary, "-$500.00", "only this period's income is left");
+    equal(food, "$5.00");
+    equal(groceries, "0");
+    equal(retained, "-$880.00", "net income moved to retained earnings");
+    equal(checking, "$1375.00", "real accounts are unaffected");
+    return db.flush();
+  }).then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(other) {
+    // The lock is known before any transactions are loaded.
+    db2 = other;
+    equal(db2.getClosedDate(), "2015-12-31", "closed period is stored");
+    return model.DB.open(BOOK);
+  }).then(function(other) {
+    db3 = other;
+    return db2.reopenPeriod();
+  }).then(function() {
+    equal(db2.getClosedDate(), null, "period was reopened");
+    return db3.flush();
+  }).then(function() {
+    equal(db3.getClosedDate(), null,
+          "other instances hear about it without loading the transaction");
+    db3.close();
+    return db2.getTransactionByGuid(guids.paycheck);
+  }).then(function(paycheck) {
+    paycheck.update(txnData("2015-03-01", [
+      [db2.getAccountByGuid(guids.salary), "-900.00"],
+      [checking, "900.00"],
+    ]));
+    return Promise.all([
+      balance(db2.getAccountByGuid(guids.salary)),
+      db2.verify(),
+    ]);
+  }).then(function([salary, problems]) {
+    equal(salary, "-$1400.00");
+    equal(problems.length, 0, "sums are consistent");
+    return db2.flush();
+  }).then(function() {
+    db2.close();
+  });
+});
+
+qunit.test("closing transactions stay marked in IndexedDB", function() {
+  var IDB = storage.IndexedDBStorage;
+  var closing = {
+    "guid": "closing",
+    "date": "2015-12-31",
+    "description": "Close",
+    "period_close": true,
+    "entry": [
+      {"account_guid": "income", "amount": {"USD": "10.00"}},
+      {"account_guid": "equity", "amount": {"USD": "-10.00"}},
+    ],
+  };
+
+  var stored = IDB._withIndexKeys("transactions", closing);
+  equal(stored.period_close, true, "the flag is stored as it is");
+  qunit.deepEqual(stored.period_close_keys, ["2015-12-31"],
+                  "index keys are stored apart from it");
+  qunit.deepEqual(IDB._withoutIndexKeys("transactions", stored), closing,
+                  "the transaction reads back unchanged");
+
+  // Stores of earlier versions kept the index keys in the flag's field.
+  var rewrite;
+  storage.Migrations[6]({
+    deleteIndex: function() {},
+    rewrite: function(collection, func) { rewrite = func; },
+  });
+  var old = Object.assign({}, closing, {
+    "period_close": ["2015-12-31"],
+    "account_order": ["income;2015-12-31", "equity;2015-12-31"],
+  });
+  qunit.deepEqual(rewrite(old), closing, "the upgrade restores the flag");
+  var sealed = {
+    "guid": "closing",
+    "date": "2015-12-31",
+    "period_close": ["2015-12-31"],
+    "account_order": ["income;2015-12-31"],
+    "sealed": "...",
+  };
+  qunit.deepEqual(rewrite(sealed), {
+    "guid": "closing",
+    "date": "2015-12-31",
+    "period_close_keys": ["2015-12-31"],
+    "account_order_keys": ["income;2015-12-31"],
+    "sealed": "...",
+  }, "the upgrade moves the index keys of encrypted transactions");
+});
+
+TEST("export and restore a backup", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var old = db.createAccount(act({"name":"Old Savings"}));
+  var salary = db.createAccount({"name":"Salary", "type":"INCOME"});
+  var groceries = db.createAccount({"name":"Groceries", "type":"EXPENSE"});
+  var food = db.createAccount({"name":"Food", "type":"EXPENSE"});
+  var retained = db.createAccount({"name":"Retained", "type":"EQUITY"});
+  // Now the child was created before its parent.
+  groceries.update(merge(groceries.data, {"parent_guid": food.data.guid}));
+
+  var txn = function(date, entries) {
+    var entry = [];
+    for (var [account, amount] of entries) {
+      entry.push({"account_guid": account.data.guid,
+                  "amount": {"USD": amount}});
+    }
+    return db.createTransaction({"description": "Test", "date": date,
+                                 "entry": entry});
+  }
+
+  txn("2015-03-01", [[old, "1000.00"], [salary, "-1000.00"]]);
+  txn("2015-04-01", [[checking, "1000.00"], [old, "-1000.00"]]);
+  txn("2015-12-31", [[checking, "-50.00"], [groceries, "50.00"]]);
+
+  var doc;
+  var restored;
+  var other;
+  var accounts = db.accountsByGuid.size;
+
+  return old.close("2015-05-01", true).then(function() {
+    // This one was written elsewhere before the account was closed.
+    old.update(merge(old.data, {"close_date": "2015-03-15"}));
+    return db.closePeriod("2015-12-31", retained);
+  }).then(function() {
+    return db.exportAll();
+  }).then(function(backup) {
+    // As it would be saved to a file.
+    doc = JSON.parse(JSON.stringify(backup));
+    equal(doc.format, "dblbook-backup");
+    equal(doc.version, 2);
+    equal(doc.accounts.length, 6);
+    equal(doc.transactions.length, 4);
+    var guids = doc.accounts.map((data) => data.guid);
+    ok(guids.indexOf(food.data.guid) < guids.indexOf(groceries.data.guid),
+       "parents come before their children");
+
+    return model.DB.delete("test-restore");
+  }).then(function() {
+    return model.DB.open("test-restore");
+  }).then(function(db2) {
+    // Like another tab that has the book open.
+    other = db2;
+    return Promise.all([
+      model.DB.importAll(doc, "test-restore"),
+      whenReceived(other),
+    ]);
+  }).then(function([db2]) {
+    restored = db2;
+    equal(restored.accountsByGuid.size, accounts, "accounts were restored");
+    equal(other.accountsByGuid.size, accounts, "other tabs see the restore");
+    other.close();
+    qunit.deepEqual(restored.getAccountByGuid(old.data.guid).data, old.data,
+                    "closed accounts were restored");
+    equal(restored.getClosedDate(), "2015-12-31",
+          "closed periods were restored");
+    return Promise.all([
+      balance(restored.getAccountByGuid(checking.data.guid)),
+      balance(restored.getAccountByGuid(food.data.guid)),
+      balance(restored.getAccountByGuid(retained.data.guid)),
+      restored.verify(),
+    ]);
+  }).then(function([checking, food, retained, problems]) {
+    equal(checking, "$950.00");
+    equal(food, "0");
+    equal(retained, "-$950.00");
+    equal(problems.length, 0, "sums were rebuilt");
+
+    restored.close();
+    return model.DB.importAll(doc, "test-restore").then(function() {
+      ok(false, "import into a book that isn't empty");
+    }, function(err) {
+      ok(/empty book/.test(err), "only empty books can be restored into");
+      return model.DB.delete("test-restore");
+    });
+  }).then(function() {
+    var bad = JSON.parse(JSON.stringify(doc));
+    bad.transactions[bad.transactions.length - 1].entry[0].amount =
+        {"USD": "1.00"};
+    return model.DB.importAll(bad, "test-restore").then(function() {
+      ok(false, "import an unbalanced transaction");
+    }, function(err) {
+      ok(/invalid transaction/.test(err), "records are validated");
+      return model.DB.open("test-restore");
+    });
+  }).then(function(db2) {
+    equal(db2.accountsByGuid.size, 3, "nothing was imported");
+    db2.close();
+    return model.DB.delete("test-restore");
+  }).then(function() {
+    return model.DB.importAll({}, "test-restore").then(function() {
+      ok(false, "import something that isn't a backup");
+    }, function(err) {
+      ok(/not a backup/.test(err));
+      return model.DB.delete("test-restore");
+    });
+  });
+});
+
+TEST("encrypt a book with a passphrase", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var salary = db.createAccount({"name":"Salary", "type":"INCOME"});
+  db.createTransaction({
+    "description": "Paycheck",
+    "date": "2015-09-25",
+    "entry": [
+      {"account_guid": checking.data.guid, "amount": {"USD": "1234.56"}},
+      {"account_guid": salary.data.guid, "amount": {"USD": "-1234.56"}},
+    ]
+  });
+
+  // Everything in the store, as it would be on disk.
+  var stored = function() {
+    var objects = [];
+    var collections = MemoryStorage.stores.get(BOOK).collections;
+    for (var collection of collections.values()) {
+      objects = objects.concat(Array.from(collection.values()));
+    }
+    return JSON.stringify(objects);
+  }
+
+  var locked = new Promise((resolve) => { db.onLocked = resolve; });
+  var db2;
+
+  return db.flush().then(function() {
+    return model.DB.setPassphrase(BOOK, null, "");
+  }).then(function() {
+    ok(false, "set an empty passphrase");
+  }, function(err) {
+    ok(/empty/.test(err), "passphrases can't be empty");
+    return Promise.all([model.DB.setPassphrase(BOOK, null, "secret"), locked]);
+  }).then(function() {
+    ok(true, "open instances of the book are locked");
+    var raw = stored();
+    ok(!/Checking|Paycheck|1234/.test(raw), "contents are encrypted");
+    ok(raw.indexOf(checking.data.guid) >= 0, "guids are not");
+
+    return model.DB.open(BOOK).then(function() {
+      ok(false, "open without the passphrase");
+    }, function(err) {
+      equal(err, model.LOCKED);
+      return model.DB.open(BOOK, "wrong");
+    });
+  }).then(function() {
+    ok(false, "open with the wrong passphrase");
+  }, function(err) {
+    equal(err, model.WRONG_PASSPHRASE);
+    return model.DB.open(BOOK, "secret");
+  }).then(function(db) {
+    db2 = db;
+    equal(db2.getAccountByGuid(checking.data.guid).data.name, "Checking");
+    return db2.storage.loadLast("commits");
+  }).then(function(commit) {
+    equal(commit.changes.length, 0, "the passphrase change is logged");
+    equal(typeof commit.timestamp, "string", "with a timestamp like others");
+    db2.createAccount(act({"name":"Savings"}));
+    return Promise.all([
+      balance(db2.getAccountByGuid(checking.data.guid)),
+      db2.flush(),
+    ]);
+  }).then(function([checking]) {
+    equal(checking, "$1234.56", "transactions are decrypted");
+    db2.close();
+    ok(!/Savings/.test(stored()), "new objects are encrypted");
+
+    return model.DB.setPassphrase(BOOK, "wrong", "new").then(function() {
+      ok(false, "change the passphrase with the wrong one");
+    }, function(err) {
+      equal(err, model.WRONG_PASSPHRASE);
+      return model.DB.setPassphrase(BOOK, "secret", "new");
+    });
+  }).then(function() {
+    return model.DB.open(BOOK, "secret").then(function() {
+      ok(false, "open with the old passphrase");
+    }, function(err) {
+      equal(err, model.WRONG_PASSPHRASE);
+      return model.DB.setPassphrase(BOOK, "new", null);
+    });
+  }).then(function() {
+    ok(/Savings/.test(stored()), "the passphrase was removed");
+    return model.DB.open(BOOK);
+  }).then(function(db) {
+    equal(db.accountsByGuid.size, 6, "the book opens without a passphrase");
+    return db.verify().then(function(problems) {
+      equal(problems.length, 0);
+      db.close();
+    });
+  });
+});
+
+TEST("encrypted batches are written in order", function(db, assert) {
+  // Seals the first batch below slower than the second.
+  var first;
+  var cipher = {
+    seal: function(collection, key, data) {
+      return new Promise(function(resolve) {
+        setTimeout(() => resolve({iv: "", data: JSON.stringify(data)}),
+                   key == first ? 50 : 0);
+      });
+    },
+    unseal: function(collection, key, sealed) {
+      return Promise.resolve(JSON.parse(sealed.data));
+    },
+  };
+  var encrypted = new storage.EncryptedStorage(db.storage, cipher);
+
+  var write = function(version, last) {
+    var batch = encrypted.newBatch();
+    batch.checkLast("commits", last);
+    batch.add("commits", {version: version, timestamp: "", changes: []});
+    return batch.commit();
+  }
+
+  return db.flush().then(function() {
+    return db.storage.loadLast("commits");
+  }).then(function(last) {
+    var version = last ? last.version : 0;
+    first = version + 1;
+    return Promise.all([write(first, last ? version : null),
+                        write(first + 1, first)]);
+  }).then(function() {
+    return encrypted.loadLast("commits");
+  }).then(function(last) {
+    equal(last.version, first + 1, "both batches were written");
+  });
+});
+
+TEST("search transactions", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var card = db.createAccount({"name":"Card", "type":"LIABILITY"});
+  var expenses = db.createAccount({"name":"Expenses", "type":"EXPENSE"});
+  var dining = db.createAccount({"name":"Dining", "type":"EXPENSE",
+                                 "parent_guid": expenses.data.guid});
+  var salary = db.createAccount({"name":"Salary", "type":"INCOME"});
+
+  var txn = function(date, description, from, to, amount, commodity) {
+    var amounts = function(value) {
+      var ret = {};
+      ret[commodity || "USD"] = value;
+      return ret;
+    }
+    return db.createTransaction({
+      "description": description,
+      "date": date,
+      "entry": [
+        {"account_guid": to.data.guid, "amount": amounts(amount)},
+        {"account_guid": from.data.guid, "amount": amounts("-" + amount)},
+      ]
+    });
+  }
+
+  var paycheck = txn("2015-08-31", "Paycheck", salary, checking, "2000.00");
+  var dinner = txn("2015-09-05", "Dinner at Luigi's", card, dining, "412.19");
+  var lunch = txn("2015-09-20", "Lunch", card, dining, "12.50");
+  var payment = txn("2015-10-01", "Card payment", checking, card, "412.19");
+  var shares = txn("2015-10-02", "Dividend", salary, checking, "3", "AAPL");
+
+  var guids = function(query) {
+    return query.getTransactions().map((txn) => txn.data.guid);
+  }
+  var search = function(options) {
+    var query = db.newTransactionQuery(options);
+    var ret = guids(query);
+    query.close();
+    return ret;
+  }
+  var expect = function(options, txns, message) {
+    qunit.deepEqual(search(options), txns.map((txn) => txn.data.guid),
+                    message);
+  }
+
+  expect({}, [paycheck, dinner, lunch, payment, shares], "no criteria");
+  expect({"text": "luigi"}, [dinner], "description text");
+  expect({"minAmount": "412.19", "maxAmount": "412.19"}, [dinner, payment],
+         "debits and credits of an amount");
+  expect({"minAmount": "412.19", "maxAmount": "412.19",
+          "account": checking}, [payment], "amount in an account");
+  expect({"account": expenses}, [dinner, lunch], "account subtree");
+  expect({"minAmount": "100"}, [paycheck, dinner, payment],
+         "amounts of any precision");
+  expect({"commodity": "AAPL"}, [shares], "commodity");
+  expect({"startDate": "2015-09-05", "endDate": "2015-10-01"},
+         [dinner, lunch, payment], "date range");
+  expect({"filter": (txn) => txn.data.entry.length == 2,
+          "endDate": "2015-08-31"}, [paycheck], "custom filter");
+
+  assert.throws(() => db.newTransactionQuery({"minAmount": "-5"}),
+                "amounts are magnitudes");
+  assert.throws(() => db.newTransactionQuery({"startDate": "2015-9-1"}),
+                "dates are validated");
+
+  // The query is live.
+  var query = db.newTransactionQuery({"account": dining});
+  var notified = 0;
+  query.subscribe(this, () => notified++);
+
+  lunch.update(merge(lunch.data, {"description": "Lunch with Bob"}));
+  equal(notified, 1, "changes to matching transactions notify");
+  var late = txn("2015-11-01", "Dinner", card, dining, "40.00");
+  equal(notified, 2);
+  qunit.deepEqual(guids(query),
+                  [dinner.data.guid, lunch.data.guid, late.data.guid]);
+  payment.delete();
+  equal(notified, 2, "other changes don't");
+  dinner.delete();
+  qunit.deepEqual(guids(query), [lunch.data.guid, late.data.guid]);
+  query.close();
+
+  // Transactions that aren't loaded yet are found.
+  return db.flush().then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(db2) {
+    var query = db2.newTransactionQuery({"text": "lunch"});
+    ok(!query.isLoaded(), "transactions are loaded on demand");
+    return new Promise(function(resolve) {
+      model.Observable.whenLoaded([query], function() {
+        qunit.deepEqual(guids(query), [lunch.data.guid]);
+        query.close();
+        db2.close();
+        resolve();
+      });
+    });
+  });
+});
+
+TEST("payees", function(db, assert) {
+  var checking = db.createAccount(act({"name":"Checking"}));
+  var card = db.createAccount({"name":"Card", "type":"LIABILITY"});
+  var expenses = db.createAccount({"name":"Expenses", "type":"EXPENSE"});
+  var amazon = db.createPayee(
+      {"name": "Amazon", "alias": ["^AMZN MKTP", "amazon\\.com"]});
+  var safeway = db.createPayee({"name": "Safeway"});
+
+  assert.throws(() => db.createPayee({"name": ""}), "payees need a name");
+  assert.throws(() => db.createPayee({"name": "X", "alias": ["("]}),
+                "aliases must be regular expressions");
+  assert.throws(() => db.createPayee({"name": "AMAZON"}),
+                "names are unique");
+
+  equal(db.matchPayee("AMZN MKTP US*2K3"), amazon, "aliases match");
+  equal(db.matchPayee("www.Amazon.com"), amazon, "case doesn't matter");
+  equal(db.matchPayee(" safeway "), safeway, "names match");
+  equal(db.matchPayee("Costco"), null);
+  qunit.deepEqual(db.getPayees(), [amazon, safeway]);
+
+  var txn = function(date, description, amount, payee) {
+    var data = {
+      "description": description,
+      "date": date,
+      "entry": [
+        {"account_guid": expenses.data.guid, "amount": {"USD": amount}},
+        {"account_guid": card.data.guid, "amount": {"USD": "-" + amount}},
+      ]
+    };
+    if (payee) {
+      data.payee_guid = payee.data.guid;
+    }
+    return db.createTransaction(data);
+  }
+
+  var book = txn("2015-09-01", "AMZN MKTP US*2K3", "412.19", amazon);
+  var food = txn("2015-09-02", "SAFEWAY #123", "50.00", safeway);
+  txn("2015-09-03", "AMAZON.COM", "20.00", amazon);
+  txn("2015-09-04", "Corner store", "5.00");
+  equal(book.getPayee(), amazon);
+
+  // Spending by payee.
+  var query = db.newTransactionQuery({"account": expenses});
+  var totals = query.getPayeeTotals().map(
+      (total) => [total.payee, total.amount.toString()]);
+  qunit.deepEqual(totals, [[amazon, "$432.19"], [safeway, "$50.00"],
+                           [null, "$5.00"]]);
+  query.close();
+  qunit.deepEqual(
+      db.newTransactionQuery({"payee": safeway}).getTransactions(), [food]);
+
+  amazon.update(merge(amazon.data, {"alias": ["^AMZN"]}));
+  equal(db.matchPayee("AMZN Digital"), amazon, "aliases can be changed");
+  equal(db.matchPayee("Amazon.com"), null);
+
+  safeway.delete();
+  equal(food.getPayee(), null, "transactions of deleted payees have none");
+  db.undo();
+  safeway = db.getPayeeByGuid(safeway.data.guid);
+  equal(food.getPayee(), safeway, "deleting a payee can be undone");
+
+  // Importers map raw descriptions to payees.
+  var ledger = "2015/09/05 AMZN MKTP US*9Z1\n" +
+               "    Assets:Gift Cards                       $12.00\n" +
+               "    Liabilities:Visa                       $-12.00\n" +
+               "\n";
+  var other;
+  var restored;
+
+  return importLedger(ledger, db).then(function() {
+    var imported = db.newTransactionQuery({"text": "9Z1"}).getTransactions();
+    equal(imported[0].getPayee(), amazon, "imports find payees");
+    return importBanklet([{
+      "date": Date.parse("09/06/2015"),
+      "description": "AMZN MKTP US*4X2",
+      "commodity": "USD",
+      "amount": "-$1,200.00",
+      "balance": "$34.56",
+    }], checking, expenses);
+  }).then(function() {
+    var imported = db.newTransactionQuery({"text": "4X2"}).getTransactions();
+    var txn = getSingleArrayValue(imported);
+    equal(txn.getPayee(), amazon, "so does banklet output");
+    equal(txn.data.date, "2015-09-06");
+    qunit.deepEqual(txn.data.entry.map((entry) => entry.amount),
+                    [{"USD": "-1200.00"}, {"USD": "1200.00"}],
+                    "the other side goes to the given account");
+    return db.getCommits();
+  }).then(function(commits) {
+    // The alias change from above.
+    var changes = [];
+    for (var commit of commits) {
+      changes = changes.concat(commit.changes.filter((change) =>
+          change.collection == "payees" && change.key == amazon.data.guid &&
+          change.after && change.after.alias[0] == "^AMZN"));
+    }
+    var change = getSingleArrayValue(changes);
+    equal(change.before.alias[0], "^AMZN MKTP", "payees are logged");
+    return model.DB.open(BOOK);
+  }).then(function(db2) {
+    other = db2;
+    equal(other.getPayeeByGuid(amazon.data.guid).data.name, "Amazon",
+          "payees are loaded");
+    var received = whenReceived(other);
+    db.createPayee({"name": "Costco"});
+    return received;
+  }).then(function() {
+    ok(other.matchPayee("costco"), "other tabs see new payees");
+    other.close();
+    return db.exportAll();
+  }).then(function(backup) {
+    equal(backup.payees.length, 3, "backups have payees");
+    return model.DB.delete("test-restore").then(function() {
+      return model.DB.importAll(backup, "test-restore");
+    });
+  }).then(function(db2) {
+    restored = db2;
+    equal(restored.getPayeeByGuid(amazon.data.guid).data.name, "Amazon");
+    return restored.getTransactionByGuid(book.data.guid);
+  }).then(function(txn) {
+    equal(txn.getPayee().data.name, "Amazon", "payees are restored");
+    restored.close();
+    return model.DB.delete("test-restore");
+  }).then(function() {
+    var old = {"format": "dblbook-backup", "version": 1, "accounts": [],
+               "transactions": []};
+    return model.DB.importAll(old, "test-restore");
+  }).then(function(db2) {
+    equal(db2.getPayees().length, 0, "backups from before payees restore");
+    db2.close();
+    return model.DB.delete("test-restore");
+  });
+});
+
+TEST("tags and metadata", function(db, assert) {
+  var card = db.createAccount({"name":"Card", "type":"LIABILITY"});
+  var travel = db.createAccount({"name":"Travel", "type":"EXPENSE"});
+  var meals = db.createAccount({"name":"Meals", "type":"EXPENSE"});
+
+  var data = function(date, description, amounts, extra) {
+    var entry = [];
+    var total = 0;
+    for (var [account, amount] of amounts) {
+      entry.push({"account_guid": account.data.guid,
+                  "amount": {"USD": amount}});
+      total += parseFloat(amount);
+    }
+    entry.push({"account_guid": card.data.guid,
+                "amount": {"USD": (-total).toFixed(2)}});
+    return merge({"description": description, "date": date,
+                  "entry": entry}, extra || {});
+  }
+
+  var valid = (extra) => db.transactionIsValid(
+      data("2015-09-01", "X", [[meals, "1.00"]], extra));
+  ok(valid({"tag": ["reimbursable", "client-x"]}));
+  ok(valid({"metadata": {"Invoice": "1234"}}));
+  ok(!valid({"tag": "reimbursable"}), "tags are a list");
+  ok(!valid({"tag": ["two words"]}), "tags have no whitespace");
+  ok(!valid({"tag": ["a:b"]}), "tags have no colons");
+  ok(!valid({"tag": ["a", "a"]}), "tags are unique");
+  ok(!valid({"metadata": {"n": 5}}), "metadata values are strings");
+  ok(!valid({"metadata": {"": "x"}}), "metadata keys can't be empty");
+  var bad = data("2015-09-01", "X", [[meals, "1.00"]]);
+  bad.entry[0].tag = [""];
+  ok(!db.transactionIsValid(bad), "entry tags are validated");
+
+  var flight = db.createTransaction(
+      data("2015-09-20", "Flight", [[travel, "300.00"]],
+           {"tag": ["reimbursable"], "metadata": {"Trip": "NYC"}}));
+  // Only part of this one is for business.
+  var dinner = data("2015-09-22", "Dinner",
+                    [[meals, "80.00"], [meals, "20.00"]],
+                    {"metadata": {"Trip": "NYC"}});
+  dinner.entry[0].tag = ["reimbursable"];
+  dinner.entry[0].metadata = {"Trip": "Boston"};
+  dinner = db.createTransaction(dinner);
+  db.createTransaction(data("2015-09-25", "Movie", [[meals, "15.00"]]));
+
+  ok(flight.hasTag("reimbursable"));
+  ok(!dinner.hasTag("reimbursable"));
+  ok(dinner.hasTag("reimbursable", dinner.data.entry[0]), "entry tags");
+  equal(dinner.getMetadata("Trip"), "NYC");
+  equal(dinner.getMetadata("Trip", dinner.data.entry[0]), "Boston",
+        "entry metadata take precedence");
+  equal(dinner.getMetadata("Trip", dinner.data.entry[1]), "NYC");
+  equal(dinner.getMetadata("Missing"), undefined);
+
+  // Reports by tag.
+  var guids = (txns) => txns.map((txn) => txn.data.guid);
+  var query = db.newTransactionQuery({"tag": "reimbursable"});
+  qunit.deepEqual(guids(query.getTransactions()), guids([flight, dinner]));
+  query.close();
+  query = db.newTransactionQuery({"tag": "reimbursable", "account": meals});
+  qunit.deepEqual(guids(query.getTransactions()), guids([dinner]));
+  equal(query.getTotal().toString(), "$80.00",
+        "only the tagged entries are totaled");
+  query.close();
+
+  var trips = function(metadata) {
+    var query = db.newTransactionQuery({"metadata": metadata});
+    var ret = guids(query.getTransactions());
+    query.close();
+    return ret;
+  }
+  qunit.deepEqual(trips({"Trip": null}), guids([flight, dinner]),
+                  "metadata keys");
+  qunit.deepEqual(trips({"Trip": "Boston"}), guids([dinner]),
+                  "metadata values");
+  qunit.deepEqual(trips({"Trip": "NYC"}), guids([flight, dinner]));
+
+  var ledger = "2015/10/01 Hotel  ; :reimbursable:\n" +
+               "    ; Trip: Boston\n" +
+               "    ; hasOwnProperty: yes\n" +
+               "    Expenses:Lodging       $200.00  ; :hotel:\n" +
+               "    ; Room: 12\n" +
+               "    Liabilities:Amex      $-200.00\n" +
+               "    ; paid late\n" +
+               "\n";
+
+  return importLedger(ledger, db).then(function() {
+    var hotel = getSingleArrayValue(
+        db.newTransactionQuery({"text": "hotel"}).getTransactions());
+    equal(hotel.data.description, "Hotel", "comments are not descriptions");
+    qunit.deepEqual(hotel.data.tag, ["reimbursable"]);
+    qunit.deepEqual(hotel.data.metadata,
+                    {"Trip": "Boston", "hasOwnProperty": "yes"});
+    qunit.deepEqual(trips({"hasOwnProperty": null}), guids([hotel]),
+                    "metadata keys can be anything");
+    qunit.deepEqual(hotel.data.entry[0].tag, ["hotel"]);
+    qunit.deepEqual(hotel.data.entry[0].metadata, {"Room": "12"});
+    qunit.deepEqual(hotel.data.entry[1].metadata, {"comment": "paid late"});
+  });
+});
+
 TEST("balances", function(db, assert) {
   var account1 = db.createAccount(act({"name":"Test"}));
   var account2 = db.createAccount(act({"name":"Test2"}));
@@ -565,3 +2078,557 @@ TEST("entries", function(db, assert) {
     done();
   });
 });
+
+TEST("commit log", function(db, assert) {
+  var account1 = db.createAccount(act({"name":"Test"}));
+  var account2 = db.createAccount(act({"name":"Test2"}));
+
+  var txn;
+  db.atomic(function() {
+    txn = db.createTransaction({
+      description: "Transaction 1",
+      date: "2015-09-23",
+      entry: [
+        {"account_guid": account1.data.guid, "amount": {"USD": "1.00"}},
+        {"account_guid": account2.data.guid, "amount": {"USD": "-1.00"}},
+      ]
+    });
+    account2.update(act({"name":"Renamed"}));
+  });
+
+  var oldData = txn.data;
+  txn.delete();
+
+  let done = assert.async();
+
+  // The DB is closed when this function returns, so read the log up front.
+  let laterCommits = db.getCommits(db.version - 1);
+
+  db.getCommits().then(function(commits) {
+    equal(commits.length, 4, "one commit per batch");
+
+    for (let i = 1; i < commits.length; i++) {
+      qunit.ok(commits[i].version > commits[i - 1].version, "ordered");
+      qunit.ok(typeof commits[i].timestamp == "string", "has timestamp");
+    }
+
+    let create = getSingleArrayValue(commits[0].changes);
+    equal(create.collection, "accounts");
+    equal(create.key, account1.data.guid);
+    equal(create.before, null);
+    equal(create.after.name, "Test");
+
+    let batch = commits[2].changes;
+    equal(batch.length, 2, "atomic batch is a single commit");
+    let rename = batch.find((c) => c.collection == "accounts");
+    let add = batch.find((c) => c.collection == "transactions");
+    equal(rename.before.name, "Test2");
+    equal(rename.after.name, "Renamed");
+    equal(add.before, null);
+    assert.deepEqual(add.after, oldData);
+
+    let del = getSingleArrayValue(commits[3].changes);
+    assert.deepEqual(del.before, oldData);
+    equal(del.after, null);
+
+    return laterCommits;
+  }).then(function(commits) {
+    equal(getSingleArrayValue(commits).version, db.version,
+          "can read only later commits");
+    done();
+  });
+});
+
+TEST("undo and redo", function(db, assert) {
+  equal(db.canUndo(), false);
+  equal(db.canRedo(), false);
+  assert.throws(function() { db.undo(); }, "nothing to undo");
+
+  var notified = 0;
+  db.history.subscribe(this, function() { notified++; });
+
+  var account1 = db.createAccount(act({"name":"Test"}));
+  var account2 = db.createAccount(act({"name":"Test2"}));
+  var guid1 = account1.data.guid;
+  var guid2 = account2.data.guid;
+  equal(notified, 2);
+  equal(db.canUndo(), true);
+
+  var balance1 = account1.newBalanceReader({frequency: "FOREVER"});
+  var fired = 0;
+  balance1.subscribe(this, function() { fired++; });
+  var balance = () => balance1.getPoints()[0].endBalance.toString();
+
+  var txnData = {
+    description: "Transaction 1",
+    date: "2015-09-23",
+    entry: [
+      {"account_guid": guid1, "amount": {"USD": "1.00"}},
+      {"account_guid": guid2, "amount": {"USD": "-1.00"}},
+    ]
+  };
+
+  var txn;
+  db.atomic(function() {
+    txn = db.createTransaction(txnData);
+    account2.update(act({"name":"Renamed"}));
+  });
+  var txnGuid = txn.data.guid;
+  equal(balance(), "$1.00");
+
+  var fired1 = fired;
+  db.undo();
+  equal(db.transactionsByGuid.get(txnGuid), undefined,
+        "whole atomic batch is undone");
+  equal(db.getAccountByGuid(guid2).data.name, "Test2");
+  qunit.ok(balance1.getPoints()[0].endBalance.isZero(), "sums are adjusted");
+  qunit.ok(fired > fired1, "readers are refreshed");
+  equal(db.canRedo(), true);
+
+  db.redo();
+  equal(db.getAccountByGuid(guid2).data.name, "Renamed");
+  assert.deepEqual(db.transactionsByGuid.get(txnGuid).data, txn.data);
+  equal(balance(), "$1.00");
+  equal(db.canRedo(), false);
+
+  db.transactionsByGuid.get(txnGuid).delete();
+  qunit.ok(balance1.getPoints()[0].endBalance.isZero());
+  db.undo();
+  equal(balance(), "$1.00", "deletes are undone");
+  balance1.close();
+
+  // Undo everything, including creating the accounts.
+  db.undo();
+  db.undo();
+  db.undo();
+  equal(db.canUndo(), false);
+  equal(db.getAccountByGuid(guid1), undefined);
+  equal(db.getAccountByGuid(guid2), undefined);
+
+  db.redo();
+  db.redo();
+  equal(db.getAccountByGuid(guid2).data.name, "Test2");
+
+  // A new change discards the rest of the redo history.
+  db.createAccount(act({"name":"Test3"}));
+  equal(db.canRedo(), false);
+  db.history.unsubscribe(this);
+});
+
+TEST("roll back failed atomic()", function(db, assert) {
+  var account1 = db.createAccount(act({"name":"Test"}));
+  var account2 = db.createAccount(act({"name":"Test2"}));
+  var guid1 = account1.data.guid;
+  var guid2 = account2.data.guid;
+
+  var txn = db.createTransaction({
+    description: "Transaction 1",
+    date: "2015-09-23",
+    entry: [
+      {"account_guid": guid1, "amount": {"USD": "1.00"}},
+      {"account_guid": guid2, "amount": {"USD": "-1.00"}},
+    ]
+  });
+  var txnData = txn.data;
+
+  var balance1 = account1.newBalanceReader({frequency: "FOREVER"});
+  var balance = () => balance1.getPoints()[0].endBalance.toString();
+  equal(balance(), "$1.00");
+
+  assert.throws(function() {
+    db.atomic(function() {
+      db.createAccount(act({"name":"Test3"}));
+      account2.update(act({"name":"Renamed"}));
+      txn.delete();
+      db.createTransaction({
+        description: "Transaction 2",
+        date: "2015-09-24",
+        entry: [
+          {"account_guid": guid1, "amount": {"USD": "5.00"}},
+          {"account_guid": guid2, "amount": {"USD": "-5.00"}},
+        ]
+      });
+      db.atomic(function() {
+        throw "oops";
+      });
+    });
+  }, /oops/, "exception is passed on to the caller");
+
+  equal(db.atomicLevel, 0);
+  equal(db.getRealRoot().children.size, 2, "created account removed");
+  equal(db.getAccountByGuid(guid2).data.name, "Test2", "update reverted");
+  assert.deepEqual(db.transactionsByGuid.get(txnData.guid).data, txnData,
+                   "deleted transaction restored");
+  equal(db.transactionsByGuid.size, 1, "created transaction removed");
+  equal(balance(), "$1.00", "sums reverted");
+
+  // The DB keeps working normally afterwards.
+  db.transactionsByGuid.get(txnData.guid).delete();
+  qunit.ok(balance1.getPoints()[0].endBalance.isZero());
+  db.undo();
+  equal(balance(), "$1.00");
+  balance1.close();
+
+  return db.getCommits().then(function(commits) {
+    equal(commits.length, 5, "rolled back batch is not logged");
+  });
+});
+
+TEST("roll back failed write", function(db, assert) {
+  var account1 = db.createAccount(act({"name":"Test"}));
+  var account2 = db.createAccount(act({"name":"Test2"}));
+  var guid1 = account1.data.guid;
+
+  var balance1 = account1.newBalanceReader({frequency: "FOREVER"});
+  var fired = 0;
+  balance1.subscribe(this, function() { fired++; });
+
+  var storage = db.storage;
+  var newBatch = storage.newBatch;
+  storage.newBatch = function() {
+    var batch = newBatch.call(storage);
+    batch.commit = () => Promise.reject("disk full");
+    return batch;
+  };
+
+  var txn = db.createTransaction({
+    description: "Transaction 1",
+    date: "2015-09-23",
+    entry: [
+      {"account_guid": guid1, "amount": {"USD": "1.00"}},
+      {"account_guid": account2.data.guid, "amount": {"USD": "-1.00"}},
+    ]
+  });
+  storage.newBatch = newBatch;
+
+  equal(balance1.getPoints()[0].endBalance.toString(), "$1.00",
+        "readers show the change before it is stored");
+  var fired1 = fired;
+
+  return new Promise(function(resolve) {
+    db.onError = resolve;
+  }).then(function(event) {
+    equal(event.type, "commit");
+    equal(event.error, "disk full");
+    equal(getSingleArrayValue(event.changes).key, txn.data.guid);
+    equal(db.transactionsByGuid.size, 0, "transaction reverted");
+    qunit.ok(balance1.getPoints()[0].endBalance.isZero(), "sums reverted");
+    qunit.ok(fired > fired1, "readers refreshed");
+    equal(db.history.undoStack.length, 2, "failed batch can't be undone");
+    balance1.close();
+    return db.getCommits();
+  }).then(function(commits) {
+    equal(commits.length, 2, "failed batch is not logged");
+  });
+});
+
+TEST("promises for durable commits", function(db, assert) {
+  var account1 = db.createAccount(act({"name":"Test"}));
+  var account2 = db.createAccount(act({"name":"Test2"}));
+  var stored = [];
+  var txn;
+
+  var batch = db.atomic(function() {
+    var inner = db.atomic(function() {
+      txn = db.createTransaction({
+        description: "Transaction 1",
+        date: "2015-09-23",
+        entry: [
+          {"account_guid": account1.data.guid, "amount": {"USD": "1.00"}},
+          {"account_guid": account2.data.guid, "amount": {"USD": "-1.00"}},
+        ]
+      });
+    });
+    equal(inner, txn.whenCommitted(), "nested blocks share the batch promise");
+  });
+  equal(batch, txn.whenCommitted());
+
+  var pending = [
+    account1.whenCommitted(),
+    batch,
+    account2.update(act({"name":"Renamed"})),
+    txn.delete(),
+  ].map((p, i) => p.then(() => stored.push(i)));
+
+  var failed;
+  assert.throws(function() {
+    db.atomic(function() {
+      failed = db.atomic(function() {
+        db.createAccount(act({"name":"Test3"}));
+      });
+      throw "oops";
+    });
+  });
+
+  return Promise.all(pending).then(function() {
+    equal(stored.length, 4, "all promises resolve");
+    return db.flush();
+  }).then(function() {
+    equal(db.committing, 0, "flush waits for all commits");
+    return failed.then(function() {
+      qunit.ok(false, "promise for rolled back batch resolved");
+    }, function(error) {
+      equal(error, "oops", "promise for rolled back batch is rejected");
+    });
+  });
+});
+
+TEST("flush reports failed writes", function(db, assert) {
+  var storage = db.storage;
+  var newBatch = storage.newBatch;
+  storage.newBatch = function() {
+    var batch = newBatch.call(storage);
+    batch.commit = () => Promise.reject("disk full");
+    return batch;
+  };
+
+  var account = db.createAccount(act({"name":"Test"}));
+  storage.newBatch = newBatch;
+
+  var events = [];
+  db.onError = (event) => events.push(event);
+
+  return Promise.all([
+    account.whenCommitted().then(function() {
+      qunit.ok(false, "failed write resolved");
+    }, function(event) {
+      equal(event.error, "disk full", "failed write is rejected");
+    }),
+    db.flush().then(function() {
+      qunit.ok(false, "flush resolved");
+    }, function(event) {
+      equal(event, events[0], "flush is rejected with the onError event");
+    }),
+  ]).then(function() {
+    equal(db.getRealRoot().children.size, 0, "account was reverted");
+    return db.flush();
+  });
+});
+
+// Returns a promise that resolves once the DB has applied the next batch that
+// another tab (another DB open on the same book) sends it.  Batches received
+// while the DB is committing are applied once its commits are settled, even if
+// they fail.
+function whenReceived(db) {
+  var receive = db._receive;
+  return new Promise(function(resolve) {
+    db._receive = function(message) {
+      db._receive = receive;
+      receive.call(db, message);
+      db.flush().then(resolve, resolve);
+    };
+  });
+}
+
+// Returns a promise for the balance of the account, once the transactions it
+// needs are loaded.
+function balance(account) {
+  var reader = account.newBalanceReader({frequency: "FOREVER"});
+  return new Promise(function(resolve) {
+    model.Observable.whenLoaded([reader], function() {
+      var ret = reader.getPoints()[0].endBalance.toString();
+      reader.close();
+      resolve(ret);
+    });
+  });
+}
+
+TEST("apply changes made in another tab", function(db, assert) {
+  var account1 = db.createAccount(act({"name":"Test"}));
+  var account2 = db.createAccount(act({"name":"Test2"}));
+  var guid1 = account1.data.guid;
+  var guid2 = account2.data.guid;
+  var db2;
+  var reader;
+  var fired = 0;
+
+  return db.flush().then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(other) {
+    db2 = other;
+    reader = account1.newBalanceReader({frequency: "FOREVER"});
+    reader.subscribe(this, function() { fired++; });
+
+    let received = whenReceived(db);
+    db2.atomic(function() {
+      db2.createAccount(act({"name":"Test3"}));
+      db2.createTransaction({
+        description: "Transaction 1",
+        date: "2015-09-23",
+        entry: [
+          {"account_guid": guid1, "amount": {"USD": "1.00"}},
+          {"account_guid": guid2, "amount": {"USD": "-1.00"}},
+        ]
+      });
+    });
+    return received;
+  }).then(function() {
+    qunit.ok(db.getRealRoot().children.get("Test3"), "account was added");
+    equal(db.transactionsByGuid.size, 1, "transaction was added");
+    qunit.ok(fired > 0, "open reader was notified");
+    equal(reader.getPoints()[0].endBalance.toString(), "$1.00");
+    reader.close();
+    equal(db.history.undoStack.length, 0,
+          "undo can't revert the other tab's changes");
+
+    let received = whenReceived(db2);
+    account2.update(act({"name":"Renamed"}));
+    return received;
+  }).then(function() {
+    equal(db2.getAccountByGuid(guid2).data.name, "Renamed",
+          "changes go both ways");
+    return balance(db2.getAccountByGuid(guid2));
+  }).then(function(amount) {
+    equal(amount, "-$1.00", "sums were applied");
+
+    let received = whenReceived(db);
+    db2.atomic(function() {
+      let account4 = db2.createAccount(act({"name":"Test4"}));
+      db2.createTransaction({
+        description: "Transaction 2",
+        date: "2015-09-24",
+        entry: [
+          {"account_guid": account4.data.guid, "amount": {"USD": "2.00"}},
+          {"account_guid": guid2, "amount": {"USD": "-2.00"}},
+        ]
+      });
+    });
+    return received;
+  }).then(function() {
+    let account4 = db.getRealRoot().children.get("Test4");
+    qunit.ok(account4, "account was added with its transaction");
+    return balance(account4);
+  }).then(function(amount) {
+    equal(amount, "$2.00", "transactions can use accounts of the same batch");
+    return db2.flush();
+  }).then(function() {
+    db2.close();
+  });
+});
+
+TEST("conflicting changes from two tabs", function(db, assert) {
+  var account1 = db.createAccount(act({"name":"Test"}));
+  var account2 = db.createAccount(act({"name":"Test2"}));
+  var guid1 = account1.data.guid;
+  var guid2 = account2.data.guid;
+  var db2;
+  var events = [];
+
+  var txnData = function(amount) {
+    return {
+      description: "Transaction " + amount,
+      date: "2015-09-23",
+      entry: [
+        {"account_guid": guid1, "amount": {"USD": amount}},
+        {"account_guid": guid2, "amount": {"USD": "-" + amount}},
+      ]
+    };
+  }
+
+  return db.flush().then(function() {
+    return model.DB.open(BOOK);
+  }).then(function(other) {
+    db2 = other;
+    db2.onError = (event) => events.push(event);
+
+    // Both tabs change the book before hearing of the other's change.
+    let received = whenReceived(db2);
+    db.createTransaction(txnData("1.00"));
+    db2.createTransaction(txnData("2.00"));
+
+    return Promise.all([
+      db.flush(),
+      db2.flush().then(function() {
+        qunit.ok(false, "conflicting write resolved");
+      }, function(event) {
+        equal(event.error, storage.CONFLICT, "conflicting write is rejected");
+      }),
+      received,
+    ]);
+  }).then(function() {
+    equal(getSingleArrayValue(events).error, storage.CONFLICT);
+    equal(db2.transactionsByGuid.size, 1, "other tab's transaction applied");
+    return Promise.all([
+      balance(db.getAccountByGuid(guid1)),
+      balance(db2.getAccountByGuid(guid1)),
+    ]);
+  }).then(function(balances) {
+    equal(balances[0], "$1.00");
+    equal(balances[1], "$1.00", "tabs agree");
+
+    // Now that it is up to date, the second tab can commit.
+    let received = whenReceived(db);
+    db2.createTransaction(txnData("2.00"));
+    return received;
+  }).then(function() {
+    return Promise.all([
+      balance(db.getAccountByGuid(guid1)),
+      balance(db2.getAccountByGuid(guid1)),
+      db.getCommits(),
+    ]);
+  }).then(function([balance1, balance2, commits]) {
+    equal(balance1, "$3.00");
+    equal(balance2, "$3.00");
+    equal(commits.length, 4, "conflicting write is not logged");
+    equal(events.length, 1);
+    db2.close();
+  });
+});
+
+qunit.test("three-way merge", function(assert) {
+  let base = {
+    guid: "TXN", date: "2015-09-23", description: "Groceries",
+    entry: [
+      {"account_guid": "A", "amount": {"USD": "-10.00"}},
+      {"account_guid": "B", "amount": {"USD": "10.00"}},
+    ]
+  };
+
+  let ours = merge(base, {description: "Safeway"});
+  let theirs = merge(base, {entry: [
+    {"account_guid": "A", "amount": {"USD": "-10.00"}},
+    {"account_guid": "B", "amount": {"USD": "7.00"}},
+    {"account_guid": "C", "amount": {"USD": "3.00"}},
+  ]});
+
+  let result = mergeTransaction(base, ours, theirs);
+  assert.deepEqual(result.conflicts, [], "different fields merge cleanly");
+  assert.deepEqual(result.data, merge(theirs, {description: "Safeway"}));
+
+  result = mergeTransaction(base, ours, merge(base, {description: "Store"}));
+  assert.deepEqual(result.conflicts, ["description"], "same field conflicts");
+  assert.equal(result.data, ours, "conflict keeps our version");
+
+  let ours2 = merge(base, {entry: [
+    {"account_guid": "A", "amount": {"USD": "-12.00"}},
+    {"account_guid": "B", "amount": {"USD": "12.00"}},
+  ]});
+  result = mergeTransaction(base, ours2, theirs);
+  assert.deepEqual(result.conflicts, ["entry:B"], "same entry conflicts");
+
+  result = mergeTransaction(base, null, ours);
+  assert.deepEqual(result.conflicts, ["deleted"], "delete vs. update");
+  result = mergeTransaction(base, null, base);
+  assert.deepEqual(result.conflicts, [], "delete vs. no change");
+  assert.equal(result.data, null);
+
+  let account = {guid: "A", name: "Food", type: "EXPENSE"};
+  result = mergeAccount(account, merge(account, {name: "Groceries"}),
+                        merge(account, {parent_guid: "P"}));
+  assert.deepEqual(result.data,
+                   {guid: "A", name: "Groceries", type: "EXPENSE",
+                    parent_guid: "P"});
+
+  let tagged = merge(base, {tag: ["a", "b"], metadata: {"k": "1", "n": "x"}});
+  result = mergeTransaction(tagged,
+      merge(tagged, {tag: ["a", "c"], metadata: {"k": "2", "n": "x"}}),
+      merge(tagged, {tag: ["b", "d"], metadata: {"k": "1", "n": "y"}}));
+  assert.deepEqual(result.conflicts, [], "tags and metadata keys merge");
+  assert.deepEqual(result.data.tag, ["c", "d"]);
+  assert.deepEqual(result.data.metadata, {"k": "2", "n": "y"});
+
+  result = mergeTransaction(tagged, merge(tagged, {metadata: {"k": "2"}}),
+                            merge(tagged, {metadata: {"k": "3"}}));
+  assert.deepEqual(result.conflicts, ["metadata:k"],
+                   "same metadata key conflicts");
+});